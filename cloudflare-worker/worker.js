@@ -5,12 +5,20 @@
  * through Cloudflare's edge network, bypassing regional restrictions.
  *
  * Protocol:
- *   - Client sends POST to this Worker
+ *   - Client sends GET, HEAD, POST, PUT, PATCH or DELETE to this Worker
  *   - Header "X-Target-URL" specifies the real API endpoint
  *   - Header "X-Auth-Token" must match the AUTH_TOKEN secret
- *   - All other headers and body are forwarded to the target
+ *   - The method, all other headers and the body (none for GET and HEAD)
+ *     are forwarded to the target
  *   - Response from the target is returned as-is
  *
+ * Tracing:
+ *   - A W3C "traceparent" from the proxy is continued: the Worker adds a span
+ *     of its own (Cloudflare colo, target, status, time to response headers)
+ *     and forwards "traceparent" with that span as the parent
+ *   - With the OTEL_EXPORTER_OTLP_ENDPOINT variable set, sampled spans are
+ *     exported there over OTLP/HTTP JSON (OTEL_EXPORTER_OTLP_HEADERS for auth)
+ *
  * Setup:
  *   1. npx wrangler deploy
  *   2. npx wrangler secret put AUTH_TOKEN
@@ -32,27 +40,116 @@ const STRIP_HEADERS = new Set([
   'x-real-ip',
   'connection',
   'transfer-encoding',
+  'traceparent',
 ]);
 
+// Methods relayed to the target (the proxy's provider allowlists are a subset)
+const ALLOWED_METHODS = ['GET', 'HEAD', 'POST', 'PUT', 'PATCH', 'DELETE'];
+
+// version-traceId-parentId-flags
+const TRACEPARENT_PATTERN = /^00-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})$/;
+const SPAN_KIND_SERVER = 2;
+const STATUS_CODE_ERROR = 2;
+
+function randomHex(bytes) {
+  return [...crypto.getRandomValues(new Uint8Array(bytes))].map((b) => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Continue the caller's trace (or start one) with a span for this hop.
+ */
+function startSpan(request) {
+  const match = TRACEPARENT_PATTERN.exec(request.headers.get('traceparent') || '');
+  const traceId = match && !/^0+$/.test(match[1]) ? match[1] : randomHex(16);
+  return {
+    traceId,
+    spanId: randomHex(8),
+    parentSpanId: match ? match[2] : undefined,
+    flags: match ? match[3] : '01',
+    startTime: Date.now(),
+    attributes: {},
+  };
+}
+
+function traceparent(span) {
+  return `00-${span.traceId}-${span.spanId}-${span.flags}`;
+}
+
+/** "k1=v1,k2=v2" as used by OTEL_EXPORTER_OTLP_HEADERS. */
+function parseHeaderList(raw) {
+  const headers = {};
+  for (const pair of String(raw || '').split(',')) {
+    const sep = pair.indexOf('=');
+    if (sep > 0) headers[pair.slice(0, sep).trim()] = decodeURIComponent(pair.slice(sep + 1).trim());
+  }
+  return headers;
+}
+
+function otlpValue(value) {
+  if (typeof value === 'number') return Number.isInteger(value) ? { intValue: value } : { doubleValue: value };
+  return { stringValue: String(value) };
+}
+
+/**
+ * Send a finished span to the OTLP/HTTP endpoint, if one is configured and
+ * the trace is sampled. Export failures never affect the proxied request.
+ */
+async function exportSpan(span, env) {
+  const endpoint = env.OTEL_EXPORTER_OTLP_ENDPOINT;
+  if (!endpoint || !(parseInt(span.flags, 16) & 1)) return;
+
+  const toNanos = (ms) => `${ms}000000`;
+  const body = {
+    resourceSpans: [{
+      resource: {
+        attributes: [{ key: 'service.name', value: { stringValue: env.OTEL_SERVICE_NAME || 'ai-api-proxy-worker' } }],
+      },
+      scopeSpans: [{
+        scope: { name: 'ai-api-proxy-worker' },
+        spans: [{
+          traceId: span.traceId,
+          spanId: span.spanId,
+          parentSpanId: span.parentSpanId,
+          name: span.name,
+          kind: SPAN_KIND_SERVER,
+          startTimeUnixNano: toNanos(span.startTime),
+          endTimeUnixNano: toNanos(span.endTime),
+          attributes: Object.entries(span.attributes).map(([key, value]) => ({ key, value: otlpValue(value) })),
+          status: span.error ? { code: STATUS_CODE_ERROR, message: span.error } : {},
+        }],
+      }],
+    }],
+  };
+
+  try {
+    await fetch(`${endpoint.replace(/\/$/, '')}/v1/traces`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...parseHeaderList(env.OTEL_EXPORTER_OTLP_HEADERS) },
+      body: JSON.stringify(body),
+    });
+  } catch {
+    // Tracing is best-effort
+  }
+}
+
 export default {
-  async fetch(request, env) {
-    // Only allow POST requests
+  async fetch(request, env, ctx) {
     if (request.method === 'OPTIONS') {
       return new Response(null, {
         status: 204,
         headers: {
           'Access-Control-Allow-Origin': '*',
-          'Access-Control-Allow-Methods': 'POST, OPTIONS',
-          'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-Target-URL, X-Auth-Token, anthropic-version, x-api-key',
+          'Access-Control-Allow-Methods': `${ALLOWED_METHODS.join(', ')}, OPTIONS`,
+          'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-Target-URL, X-Auth-Token, anthropic-version, x-api-key, traceparent, tracestate',
           'Access-Control-Max-Age': '86400',
         },
       });
     }
 
-    if (request.method !== 'POST') {
+    if (!ALLOWED_METHODS.includes(request.method)) {
       return Response.json(
-        { error: 'Method not allowed', hint: 'Use POST with X-Target-URL header' },
-        { status: 405 }
+        { error: 'Method not allowed', hint: `Use ${ALLOWED_METHODS.join(', ')} with X-Target-URL header` },
+        { status: 405, headers: { Allow: `${ALLOWED_METHODS.join(', ')}, OPTIONS` } }
       );
     }
 
@@ -100,6 +197,19 @@ export default {
       );
     }
 
+    // This hop's span; the target sees it as the parent
+    const span = startSpan(request);
+    span.name = `${request.method} ${parsedUrl.hostname}`;
+    span.attributes['server.address'] = parsedUrl.hostname;
+    span.attributes['url.full'] = parsedUrl.origin + parsedUrl.pathname;
+    if (request.cf?.colo) span.attributes['cloud.region'] = request.cf.colo;
+    const finishSpan = (status, error) => {
+      span.endTime = Date.now();
+      if (status) span.attributes['http.response.status_code'] = status;
+      if (error || status >= 500) span.error = error || `HTTP ${status}`;
+      ctx?.waitUntil(exportSpan(span, env));
+    };
+
     // Build forwarded headers
     const forwardHeaders = new Headers();
     for (const [key, value] of request.headers.entries()) {
@@ -107,14 +217,17 @@ export default {
         forwardHeaders.set(key, value);
       }
     }
+    forwardHeaders.set('traceparent', traceparent(span));
 
     // Forward the request
     try {
+      const hasBody = request.method !== 'GET' && request.method !== 'HEAD';
       const response = await fetch(targetUrl, {
-        method: 'POST',
+        method: request.method,
         headers: forwardHeaders,
-        body: request.body,
+        body: hasBody ? request.body : null,
       });
+      finishSpan(response.status);
 
       // Return the response with CORS headers
       const responseHeaders = new Headers(response.headers);
@@ -127,6 +240,7 @@ export default {
         headers: responseHeaders,
       });
     } catch (err) {
+      finishSpan(null, err.message);
       return Response.json(
         {
           error: 'Upstream request failed',
@@ -0,0 +1,176 @@
+/**
+ * Response cache for deterministic requests.
+ *
+ * Only successful, non-streaming JSON replies are stored. A request is
+ * eligible when its temperature is 0 or the client sends "X-Cache: allow";
+ * "X-Cache: bypass" (or Cache-Control: no-cache / no-store) skips the cache.
+ *
+ * Keys are SHA-256 hashes over the caller's scope (client id), route,
+ * provider, target and the request body with object keys sorted, so two
+ * clients never share an entry and key order in the JSON does not matter.
+ *
+ * Backends: 'memory' (LRU in a Map) or 'disk' (one JSON file per entry,
+ * LRU index kept in memory). Both evict beyond maxEntries.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+
+// Replies larger than this are not worth keeping
+const MAX_ENTRY_BYTES = 1024 * 1024;
+
+/**
+ * JSON.stringify with object keys sorted at every level.
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value).sort()
+      .filter((key) => value[key] !== undefined)
+      .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value) ?? 'null';
+}
+
+function cacheKey(parts) {
+  return crypto.createHash('sha256').update(stableStringify(parts)).digest('hex');
+}
+
+/**
+ * Sampling temperature of a request body in any supported dialect, or null.
+ */
+function requestTemperature(body) {
+  const value = body?.temperature
+    ?? body?.generationConfig?.temperature
+    ?? body?.completionOptions?.temperature
+    ?? body?.options?.temperature;
+  if (value == null || value === '') return null;
+  const number = Number(value);
+  return Number.isNaN(number) ? null : number;
+}
+
+/**
+ * Decide how a request uses the cache: 'allow', 'bypass' (client opted
+ * out) or 'skip' (not deterministic).
+ */
+function cacheDirective(headers, body) {
+  const header = String(headers['x-cache'] || '').toLowerCase();
+  const cacheControl = String(headers['cache-control'] || '').toLowerCase();
+  if (['bypass', 'off', 'no-store'].includes(header) || /no-cache|no-store/.test(cacheControl)) {
+    return 'bypass';
+  }
+  if (header === 'allow') return 'allow';
+  return requestTemperature(body) === 0 ? 'allow' : 'skip';
+}
+
+function createMemoryBackend(maxEntries) {
+  const entries = new Map();
+  return {
+    get(key) {
+      const entry = entries.get(key);
+      if (!entry) return null;
+      entries.delete(key);
+      entries.set(key, entry);
+      return entry;
+    },
+    set(key, entry) {
+      entries.delete(key);
+      entries.set(key, entry);
+      while (entries.size > maxEntries) entries.delete(entries.keys().next().value);
+    },
+    delete(key) {
+      entries.delete(key);
+    },
+    size: () => entries.size,
+  };
+}
+
+function createDiskBackend(dir, maxEntries) {
+  fs.mkdirSync(dir, { recursive: true });
+
+  // LRU order of keys on disk, oldest first (rebuilt from mtimes at startup)
+  const index = new Map();
+  const files = fs.readdirSync(dir)
+    .filter((name) => /^[0-9a-f]{64}\.json$/.test(name))
+    .map((name) => ({ key: name.slice(0, 64), mtime: fs.statSync(path.join(dir, name)).mtimeMs }))
+    .sort((a, b) => a.mtime - b.mtime);
+  for (const { key } of files) index.set(key, true);
+
+  const fileFor = (key) => path.join(dir, `${key}.json`);
+
+  function remove(key) {
+    index.delete(key);
+    fs.rmSync(fileFor(key), { force: true });
+  }
+
+  return {
+    get(key) {
+      if (!index.has(key)) return null;
+      try {
+        const entry = JSON.parse(fs.readFileSync(fileFor(key), 'utf8'));
+        index.delete(key);
+        index.set(key, true);
+        return entry;
+      } catch {
+        remove(key);
+        return null;
+      }
+    },
+    set(key, entry) {
+      const tmp = `${fileFor(key)}.tmp`;
+      fs.writeFileSync(tmp, JSON.stringify(entry));
+      fs.renameSync(tmp, fileFor(key));
+      index.delete(key);
+      index.set(key, true);
+      while (index.size > maxEntries) remove(index.keys().next().value);
+    },
+    delete: remove,
+    size: () => index.size,
+  };
+}
+
+/**
+ * Create a cache. backend: 'memory' | 'disk' (dir required for disk).
+ * Entries: { status, data } — data is the JSON reply body.
+ */
+function createResponseCache({ backend = 'memory', ttlMs, maxEntries = 500, dir }) {
+  const store = backend === 'disk' ? createDiskBackend(dir, maxEntries) : createMemoryBackend(maxEntries);
+
+  return {
+    backend,
+
+    /** Stored entry with its age in seconds, or null if missing/expired. */
+    get(key) {
+      const entry = store.get(key);
+      if (!entry) return null;
+      if (Date.now() >= entry.expiresAt) {
+        store.delete(key);
+        return null;
+      }
+      return { ...entry, age: Math.floor((Date.now() - entry.storedAt) / 1000) };
+    },
+
+    set(key, { status, data }) {
+      const serialized = JSON.stringify(data);
+      if (serialized === undefined || serialized.length > MAX_ENTRY_BYTES) return;
+      const now = Date.now();
+      try {
+        store.set(key, { status, data, storedAt: now, expiresAt: now + ttlMs });
+      } catch (err) {
+        logger.error(`Cannot store entry: ${err.message}`, { component: 'cache' });
+      }
+    },
+
+    size: () => store.size(),
+  };
+}
+
+module.exports = {
+  cacheKey,
+  cacheDirective,
+  requestTemperature,
+  createResponseCache,
+};
@@ -0,0 +1,203 @@
+/**
+ * Authentication of plugin clients to the proxy itself.
+ *
+ * Without it anyone who finds the proxy URL can relay through it. With it,
+ * every proxied request carries "X-Proxy-Token", either:
+ *   - a shared secret (CLIENT_SECRETS: "secret" or "name:secret", comma-separated), or
+ *   - a short-lived signed token (HS256 JWT, CLIENT_TOKEN_SECRET) issued per
+ *     plugin install: { sub: installId, pid?: pluginId, iat, exp }
+ * Issued vault tokens (fap_...) in Authorization are accepted as well.
+ *
+ * Independently of credentials, CLIENT_PLUGIN_IDS limits which Figma plugins
+ * may call the proxy (the token's "pid" claim, else the X-Figma-Plugin-Id
+ * header), and CLIENT_ORIGINS which browser origins may ("null" is what
+ * Figma plugin iframes send).
+ */
+
+const crypto = require('crypto');
+
+const INSTALL_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
+// Tolerated clock difference for "iat"
+const CLOCK_SKEW_S = 60;
+
+function digest(value) {
+  return crypto.createHash('sha256').update(String(value)).digest();
+}
+
+function base64url(value) {
+  return Buffer.from(JSON.stringify(value)).toString('base64url');
+}
+
+/**
+ * Parse CLIENT_SECRETS into [{ name, hash }]; unnamed secrets get "client-N".
+ */
+function parseSecrets(raw) {
+  return String(raw || '')
+    .split(',')
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map((entry, i) => {
+      const sep = entry.indexOf(':');
+      const named = sep > 0 && sep < entry.length - 1;
+      return {
+        name: named ? entry.slice(0, sep) : `client-${i + 1}`,
+        hash: digest(named ? entry.slice(sep + 1) : entry),
+      };
+    });
+}
+
+function parseList(raw) {
+  return String(raw || '').split(',').map((item) => item.trim()).filter(Boolean);
+}
+
+function createClientAuth({ secrets = [], tokenSecret = null, tokenTtlS = 3600, pluginIds = [], origins = [], isVaultToken = () => false }) {
+  const requiresCredential = secrets.length > 0 || Boolean(tokenSecret);
+  const enabled = requiresCredential || pluginIds.length > 0 || origins.length > 0;
+
+  const sign = (data) => crypto.createHmac('sha256', tokenSecret).update(data).digest();
+
+  function findSecret(value) {
+    const hash = digest(value);
+    return secrets.find((secret) => crypto.timingSafeEqual(secret.hash, hash)) || null;
+  }
+
+  /** Decode and verify a signed token; returns its claims or null. */
+  function verifyToken(value) {
+    if (!tokenSecret) return null;
+    const parts = value.split('.');
+    if (parts.length !== 3) return null;
+    const [header, payload, signature] = parts;
+    const expected = sign(`${header}.${payload}`);
+    const given = Buffer.from(signature, 'base64url');
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) return null;
+    try {
+      if (JSON.parse(Buffer.from(header, 'base64url')).alg !== 'HS256') return null;
+      return JSON.parse(Buffer.from(payload, 'base64url'));
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Identify the caller from X-Proxy-Token or a vault token:
+   * { client } with { id, via, pluginId }, or { status, error } to reject.
+   */
+  function authenticate(req) {
+    const value = String(req.headers['x-proxy-token'] || '').trim();
+    const now = Math.floor(Date.now() / 1000);
+
+    if (value && value.split('.').length === 3 && tokenSecret) {
+      const claims = verifyToken(value);
+      if (!claims) {
+        return { status: 401, error: { error: 'Invalid proxy token', hint: 'Request a new token from POST /auth/token' } };
+      }
+      if (typeof claims.exp !== 'number' || claims.exp <= now) {
+        return { status: 401, error: { error: 'Proxy token expired', hint: 'Request a new token from POST /auth/token' } };
+      }
+      if (typeof claims.iat === 'number' && claims.iat > now + CLOCK_SKEW_S) {
+        return { status: 401, error: { error: 'Invalid proxy token', hint: 'Token is not valid yet — check the server clock' } };
+      }
+      return { client: { id: `install:${claims.sub}`, via: 'token', pluginId: claims.pid || null, installId: claims.sub, exp: claims.exp } };
+    }
+
+    if (value) {
+      const secret = findSecret(value);
+      if (!secret) {
+        return { status: 401, error: { error: 'Invalid proxy token', hint: 'Check the X-Proxy-Token value configured in the plugin' } };
+      }
+      return { client: { id: `secret:${secret.name}`, via: 'secret', pluginId: null } };
+    }
+
+    const bearer = (req.headers['authorization'] || '').replace(/^Bearer /, '');
+    if (bearer && isVaultToken(bearer)) {
+      return { client: { id: 'vault', via: 'vault', pluginId: null } };
+    }
+
+    return {
+      status: 401,
+      error: {
+        error: 'Proxy authentication required',
+        hint: 'Send "X-Proxy-Token: <token>" — a token from POST /auth/token or a shared secret from the proxy administrator',
+      },
+    };
+  }
+
+  /**
+   * Check a proxied request: credential (if required), origin and plugin ID
+   * (a token's "pid", else `pluginId`, by default the X-Figma-Plugin-Id header).
+   * Returns { client } (null when no credential is required) or { status, error }.
+   */
+  function check(req, pluginId = req.headers['x-figma-plugin-id']) {
+    if (!enabled) return { client: null };
+
+    if (origins.length > 0) {
+      const origin = req.headers.origin || '';
+      if (!origins.includes(origin)) {
+        return {
+          status: 403,
+          error: { error: 'Origin not allowed', hint: origin ? `Origin "${origin}" is not in the proxy's allowlist` : 'Requests must come from an allowed origin (Figma plugins send "Origin: null")' },
+        };
+      }
+    }
+
+    let client = null;
+    if (requiresCredential) {
+      const result = authenticate(req);
+      if (result.error) return result;
+      client = result.client;
+    }
+
+    if (pluginIds.length > 0) {
+      const id = client?.pluginId || String(pluginId || '');
+      if (!id) {
+        return { status: 403, error: { error: 'Plugin ID required', hint: 'Send your Figma plugin ID in "X-Figma-Plugin-Id" (figma.pluginId)' } };
+      }
+      if (!pluginIds.includes(id)) {
+        return { status: 403, error: { error: 'Plugin not allowed', hint: `Plugin ${id} is not in the proxy's allowlist` } };
+      }
+      if (client) client.pluginId = id;
+    }
+
+    return { client };
+  }
+
+  /**
+   * Issue a signed token for one plugin install.
+   * Returns { token, expiresAt } or { status, error }.
+   */
+  function issueToken({ installId, pluginId, ttlS = tokenTtlS }) {
+    if (!tokenSecret) {
+      return { status: 404, error: { error: 'Token issuing is disabled', hint: 'Proxy administrator: set CLIENT_TOKEN_SECRET' } };
+    }
+    if (typeof installId !== 'string' || !INSTALL_ID_PATTERN.test(installId)) {
+      return { status: 400, error: { error: 'Invalid installId', hint: 'Send a stable per-install ID of up to 128 letters, digits, ".", "_", ":" or "-"' } };
+    }
+    if (pluginId != null && typeof pluginId !== 'string') {
+      return { status: 400, error: { error: 'Invalid pluginId', hint: 'Send figma.pluginId as a string' } };
+    }
+    if (pluginIds.length > 0 && !pluginIds.includes(pluginId)) {
+      return { status: 403, error: { error: 'Plugin not allowed', hint: pluginId ? `Plugin ${pluginId} is not in the proxy's allowlist` : 'Send "pluginId" (figma.pluginId)' } };
+    }
+
+    const iat = Math.floor(Date.now() / 1000);
+    const claims = { sub: installId, ...(pluginId && { pid: pluginId }), iat, exp: iat + ttlS };
+    const header = base64url({ alg: 'HS256', typ: 'JWT' });
+    const payload = base64url(claims);
+    const signature = sign(`${header}.${payload}`).toString('base64url');
+    return { token: `${header}.${payload}.${signature}`, expiresAt: new Date(claims.exp * 1000).toISOString() };
+  }
+
+  return {
+    enabled,
+    requiresCredential,
+    authenticate,
+    check,
+    issueToken,
+  };
+}
+
+module.exports = {
+  parseSecrets,
+  parseList,
+  createClientAuth,
+};
@@ -0,0 +1,168 @@
+/**
+ * Per-provider concurrency limits with a bounded, fair wait queue.
+ *
+ * At most `max` upstream calls run at once; further callers wait in a queue
+ * of at most `maxQueue` entries, for up to `timeoutMs`. Waiters are grouped
+ * by client and served round-robin (FIFO within a client), so one designer
+ * firing a bulk generation cannot starve everyone else.
+ *
+ * A slot is held for the whole upstream exchange, retries and the response
+ * body included — a streamed reply occupies the provider until it ends.
+ */
+
+// Statuses a Response cannot be constructed with a body for
+const NULL_BODY_STATUSES = [101, 204, 205, 304];
+
+class QueueError extends Error {
+  /** code: 'QUEUE_FULL' | 'QUEUE_TIMEOUT' */
+  constructor(code, message, retryAfter) {
+    super(message);
+    this.name = 'QueueError';
+    this.code = code;
+    this.retryAfter = retryAfter;
+  }
+}
+
+function abortError(signal) {
+  return signal.reason instanceof Error
+    ? signal.reason
+    : Object.assign(new Error('This operation was aborted'), { name: 'AbortError' });
+}
+
+function createConcurrencyLimiter({ name, max, maxQueue = 50, timeoutMs = 30000 }) {
+  let active = 0;
+  let queued = 0;
+  // clientId → waiters, in round-robin order (a served client moves to the back)
+  const queues = new Map();
+  const retryAfter = Math.max(1, Math.ceil(timeoutMs / 1000));
+
+  function release() {
+    active--;
+    drain();
+  }
+
+  /** A release function that only counts once. */
+  function slot() {
+    let released = false;
+    return () => {
+      if (released) return;
+      released = true;
+      release();
+    };
+  }
+
+  function drain() {
+    while (active < max && queued > 0) {
+      const [clientId, waiters] = queues.entries().next().value;
+      const waiter = waiters.shift();
+      queues.delete(clientId);
+      if (waiters.length > 0) queues.set(clientId, waiters);
+      queued--;
+      active++;
+      waiter.grant(slot());
+    }
+  }
+
+  function remove(clientId, waiter) {
+    const waiters = queues.get(clientId);
+    const index = waiters ? waiters.indexOf(waiter) : -1;
+    if (index === -1) return;
+    waiters.splice(index, 1);
+    if (waiters.length === 0) queues.delete(clientId);
+    queued--;
+  }
+
+  return {
+    max,
+    maxQueue,
+    timeoutMs,
+
+    /**
+     * Wait for a slot. Resolves with release() — call it exactly when the
+     * upstream exchange is over. Rejects with QueueError when the queue is
+     * full or the wait times out, or with the signal's AbortError.
+     */
+    acquire(clientId, signal) {
+      if (signal?.aborted) return Promise.reject(abortError(signal));
+      if (active < max && queued === 0) {
+        active++;
+        return Promise.resolve(slot());
+      }
+      if (queued >= maxQueue) {
+        return Promise.reject(new QueueError('QUEUE_FULL', `${name} is at capacity (${max} concurrent requests, ${queued} queued)`, retryAfter));
+      }
+
+      return new Promise((resolve, reject) => {
+        const onAbort = () => {
+          clearTimeout(timer);
+          remove(clientId, waiter);
+          reject(abortError(signal));
+        };
+        const waiter = {
+          grant(release) {
+            clearTimeout(timer);
+            signal?.removeEventListener('abort', onAbort);
+            resolve(release);
+          },
+        };
+        const timer = setTimeout(() => {
+          signal?.removeEventListener('abort', onAbort);
+          remove(clientId, waiter);
+          reject(new QueueError('QUEUE_TIMEOUT', `No ${name} slot became free within ${retryAfter}s`, retryAfter));
+        }, timeoutMs);
+        signal?.addEventListener('abort', onAbort, { once: true });
+
+        if (!queues.has(clientId)) queues.set(clientId, []);
+        queues.get(clientId).push(waiter);
+        queued++;
+      });
+    },
+
+    /** For /health: { active, max, queued, maxQueue, clients }. */
+    status() {
+      return { active, max, queued, maxQueue, clients: queues.size };
+    },
+  };
+}
+
+/**
+ * Hand back a response whose body calls release() once it is fully read,
+ * cancelled or fails. Bodiless responses release immediately, and an abort
+ * of `signal` releases as well, in case the body is never touched.
+ */
+function releaseWithBody(response, release, signal) {
+  if (!response.body || NULL_BODY_STATUSES.includes(response.status)) {
+    release();
+    return response;
+  }
+  signal?.addEventListener('abort', release, { once: true });
+
+  const reader = response.body.getReader();
+  const body = new ReadableStream({
+    async pull(controller) {
+      try {
+        const { done, value } = await reader.read();
+        if (done) {
+          release();
+          controller.close();
+        } else {
+          controller.enqueue(value);
+        }
+      } catch (err) {
+        release();
+        controller.error(err);
+      }
+    },
+    cancel(reason) {
+      release();
+      return reader.cancel(reason);
+    },
+  });
+  return new Response(body, { status: response.status, statusText: response.statusText, headers: response.headers });
+}
+
+module.exports = {
+  QueueError,
+  createConcurrencyLimiter,
+  releaseWithBody,
+};
@@ -0,0 +1,129 @@
+/**
+ * Background reachability probes for upstream providers.
+ *
+ * Each round sends one unauthenticated GET per provider through the same
+ * route real requests take (worker, http/socks5 tunnel or direct). Any HTTP
+ * reply below 500 counts as reachable — a 401 or 404 from the API root still
+ * proves the tunnel and DNS work. Network errors, timeouts and 5xx replies
+ * (e.g. a Worker that cannot reach its target) count as failures.
+ *
+ * For targets behind a relay (`relayed(key)` true, e.g. the Cloudflare
+ * Worker), a reply must also carry the relay's X-Proxied-By header: without
+ * it the status is the relay's own (a 401 for a wrong secret, a 405 for a
+ * method it refuses), not the provider's, and the provider was never reached.
+ *
+ * Status per provider: 'unknown' (not probed yet), 'up', or 'down' after
+ * `failureThreshold` consecutive failures.
+ */
+
+const { logger } = require('./logger');
+
+function emptyState() {
+  return {
+    status: 'unknown',
+    lastCheck: null,
+    lastSuccess: null,
+    lastFailure: null,
+    lastError: null,
+    latencyMs: null,
+    consecutiveFailures: 0,
+  };
+}
+
+function createHealthProber({ targets, probe, relayed = () => false, intervalMs, timeoutMs = 10000, failureThreshold = 2 }) {
+  const state = {};
+  for (const key of Object.keys(targets)) state[key] = emptyState();
+
+  let rounds = 0;
+  let timer = null;
+  let running = null;
+
+  async function probeOne(key) {
+    const entry = state[key];
+    if (!entry) return;
+    const startTime = Date.now();
+    let error = null;
+    try {
+      const response = await probe(key, targets[key], AbortSignal.timeout(timeoutMs));
+      response.body?.cancel().catch(() => {});
+      if (response.status >= 500) error = `HTTP ${response.status}`;
+      else if (relayed(key) && !response.headers.get('x-proxied-by')) error = `Worker rejected the probe: HTTP ${response.status}`;
+    } catch (err) {
+      error = err.name === 'TimeoutError' || err.name === 'AbortError'
+        ? `timeout after ${timeoutMs}ms`
+        : err.cause?.code || err.message;
+    }
+
+    const now = new Date().toISOString();
+    entry.lastCheck = now;
+    entry.latencyMs = Date.now() - startTime;
+    if (error) {
+      entry.lastFailure = now;
+      entry.lastError = error;
+      entry.consecutiveFailures += 1;
+      if (entry.consecutiveFailures >= failureThreshold) {
+        if (entry.status !== 'down') logger.warn(`${key}: down (${error})`, { component: 'health', provider: key });
+        entry.status = 'down';
+      }
+    } else {
+      if (entry.status === 'down') logger.info(`${key}: up again`, { component: 'health', provider: key, latencyMs: entry.latencyMs });
+      entry.lastSuccess = now;
+      entry.consecutiveFailures = 0;
+      entry.status = 'up';
+    }
+  }
+
+  /** Probe every provider once (concurrently); overlapping calls share a round. */
+  function runOnce() {
+    if (!running) {
+      running = Promise.all(Object.keys(targets).map(probeOne)).finally(() => {
+        rounds += 1;
+        running = null;
+      });
+    }
+    return running;
+  }
+
+  return {
+    start() {
+      if (timer) return;
+      runOnce();
+      timer = setInterval(runOnce, intervalMs);
+      timer.unref();
+    },
+
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    },
+
+    runOnce,
+
+    /** Replace the probed providers; a changed URL resets that provider's state. */
+    setTargets(next) {
+      for (const key of Object.keys(state)) {
+        if (next[key] !== targets[key]) delete state[key];
+      }
+      for (const key of Object.keys(next)) {
+        if (!state[key]) state[key] = emptyState();
+      }
+      targets = next;
+    },
+
+    /** Copy of the per-provider state. */
+    snapshot() {
+      const copy = {};
+      for (const [key, entry] of Object.entries(state)) copy[key] = { ...entry };
+      return copy;
+    },
+
+    /** True once the first round has completed. */
+    ready() {
+      return rounds > 0;
+    },
+  };
+}
+
+module.exports = {
+  createHealthProber,
+};
@@ -0,0 +1,59 @@
+/**
+ * JSON file persistence for in-memory state.
+ *
+ * State is read once at startup and written back debounced, via a temp
+ * file + rename so a crash mid-write never leaves a truncated file.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+
+/**
+ * Read a JSON file, or return null if it is missing or unreadable.
+ */
+function loadJson(file, label) {
+  if (!fs.existsSync(file)) return null;
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    logger.error(`Cannot read ${file}: ${err.message} — starting empty`, { component: label.toLowerCase() });
+    return null;
+  }
+}
+
+/**
+ * Create a debounced writer. serialize() returns the object to store.
+ * schedule() queues a write after `delay` ms; flush() writes immediately.
+ */
+function createFlusher(file, serialize, label, delay = 5000) {
+  let timer = null;
+
+  function flush() {
+    clearTimeout(timer);
+    timer = null;
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tmp = `${file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(serialize()));
+    fs.renameSync(tmp, file);
+  }
+
+  function schedule() {
+    if (timer) return;
+    timer = setTimeout(() => {
+      try {
+        flush();
+      } catch (err) {
+        logger.error(`Cannot write ${file}: ${err.message}`, { component: label.toLowerCase() });
+      }
+    }, delay);
+    timer.unref();
+  }
+
+  return { schedule, flush };
+}
+
+module.exports = {
+  loadJson,
+  createFlusher,
+};
@@ -0,0 +1,160 @@
+/**
+ * Live traffic statistics for the admin dashboard.
+ *
+ * Fed one record per finished proxied request (the access-log record), it
+ * keeps the last `windowS` seconds in memory and summarizes them per
+ * provider: request rate, error rate, latency percentiles and rejections
+ * (rate limits, quotas, auth, concurrency queue) by reason.
+ *
+ * Failed requests are also kept as recent error events — status, category
+ * and a redacted message only, never bodies or credentials — and pushed to
+ * subscribers (the admin event stream) as they happen.
+ */
+
+const { redact } = require('./logger');
+
+// Reasons a request is refused before it is forwarded (see metrics.recordRejection)
+const REJECTIONS = ['rate_limit', 'token_rate_limit', 'quota', 'client_auth', 'queue_full', 'queue_timeout'];
+const SUMMARY_WINDOW_MS = 60 * 1000;
+const SERIES_STEP_MS = 5 * 1000;
+// Upper bound on kept samples, whatever the traffic
+const MAX_SAMPLES = 20000;
+
+function percentile(sorted, p) {
+  if (sorted.length === 0) return null;
+  return sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * p))];
+}
+
+function isError(sample) {
+  return sample.status >= 500 || sample.upstreamStatus >= 400;
+}
+
+function createLiveStats({ windowS = 300, maxEvents = 100 } = {}) {
+  const windowMs = windowS * 1000;
+  let samples = [];
+  const events = [];
+  const listeners = new Set();
+
+  function prune(now) {
+    const cutoff = now - windowMs;
+    let drop = 0;
+    while (drop < samples.length && samples[drop].time < cutoff) drop++;
+    if (samples.length - drop > MAX_SAMPLES) drop = samples.length - MAX_SAMPLES;
+    if (drop > 0) samples = samples.slice(drop);
+  }
+
+  return {
+    /**
+     * Count a finished request. record: { provider, status, latencyMs,
+     * upstreamStatus?, errorCategory?, clientId?, requestId?, method, path, message? }
+     */
+    record(record) {
+      const now = Date.now();
+      const sample = {
+        time: now,
+        provider: record.provider,
+        status: record.status,
+        latencyMs: record.latencyMs,
+        upstreamStatus: record.upstreamStatus,
+        rejection: REJECTIONS.includes(record.errorCategory) ? record.errorCategory : null,
+        clientId: record.clientId || null,
+      };
+      samples.push(sample);
+      prune(now);
+
+      if (!sample.rejection && !isError(sample)) return;
+
+      const event = redact({
+        time: new Date(now).toISOString(),
+        requestId: record.requestId,
+        provider: record.provider,
+        method: record.method,
+        path: record.path,
+        status: record.status,
+        upstreamStatus: record.upstreamStatus,
+        category: record.errorCategory,
+        message: record.message,
+      });
+      events.push(event);
+      if (events.length > maxEvents) events.shift();
+      for (const listener of listeners) listener(event);
+    },
+
+    /**
+     * Summary of the last minute per provider, plus a request/error series
+     * over the whole window in SERIES_STEP_MS steps and per-client counts.
+     */
+    snapshot() {
+      const now = Date.now();
+      prune(now);
+      const recentCutoff = now - SUMMARY_WINDOW_MS;
+
+      const providers = {};
+      const clients = {};
+      const steps = Math.ceil(windowMs / SERIES_STEP_MS);
+      const series = Array.from({ length: steps }, () => ({ requests: 0, errors: 0, rejections: 0 }));
+
+      for (const sample of samples) {
+        const step = steps - 1 - Math.floor((now - sample.time) / SERIES_STEP_MS);
+        if (step >= 0) {
+          series[step].requests += 1;
+          if (sample.rejection) series[step].rejections += 1;
+          else if (isError(sample)) series[step].errors += 1;
+        }
+
+        if (sample.clientId) {
+          const client = clients[sample.clientId] || (clients[sample.clientId] = { requests: 0, rejections: 0 });
+          client.requests += 1;
+          if (sample.rejection) client.rejections += 1;
+        }
+
+        if (sample.time < recentCutoff) continue;
+        const entry = providers[sample.provider] || (providers[sample.provider] = { requests: 0, errors: 0, rejections: {}, latencies: [] });
+        entry.requests += 1;
+        if (sample.rejection) {
+          entry.rejections[sample.rejection] = (entry.rejections[sample.rejection] || 0) + 1;
+        } else {
+          if (isError(sample)) entry.errors += 1;
+          entry.latencies.push(sample.latencyMs);
+        }
+      }
+
+      for (const [key, entry] of Object.entries(providers)) {
+        const sorted = entry.latencies.sort((a, b) => a - b);
+        const forwarded = sorted.length;
+        providers[key] = {
+          requestsPerMinute: entry.requests,
+          errors: entry.errors,
+          errorRate: forwarded ? Number((entry.errors / forwarded).toFixed(3)) : 0,
+          latencyMs: {
+            avg: forwarded ? Math.round(sorted.reduce((sum, ms) => sum + ms, 0) / forwarded) : null,
+            p50: percentile(sorted, 0.5),
+            p95: percentile(sorted, 0.95),
+          },
+          rejections: entry.rejections,
+        };
+      }
+
+      return {
+        windowS,
+        seriesStepS: SERIES_STEP_MS / 1000,
+        providers,
+        series,
+        clients,
+      };
+    },
+
+    /** Recent error events, oldest first. */
+    events: () => [...events],
+
+    /** Call listener(event) for every new error event; returns unsubscribe(). */
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+  };
+}
+
+module.exports = {
+  createLiveStats,
+};
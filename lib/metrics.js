@@ -0,0 +1,166 @@
+/**
+ * Prometheus metrics, exposed at GET /metrics.
+ *
+ * Labels are limited to known values (configured provider keys, proxy
+ * route types, fixed error categories) so client input can never blow up
+ * label cardinality.
+ */
+
+const client = require('prom-client');
+
+const registry = new client.Registry();
+client.collectDefaultMetrics({ register: registry, prefix: 'figma_proxy_' });
+
+const LATENCY_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120];
+
+const requestsTotal = new client.Counter({
+  name: 'figma_proxy_requests_total',
+  help: 'Requests handled by the proxy, by provider, route and response status',
+  labelNames: ['provider', 'route', 'status'],
+  registers: [registry],
+});
+
+const requestDuration = new client.Histogram({
+  name: 'figma_proxy_request_duration_seconds',
+  help: 'End-to-end request latency as seen by the client',
+  labelNames: ['provider', 'route'],
+  buckets: LATENCY_BUCKETS,
+  registers: [registry],
+});
+
+const inFlight = new client.Gauge({
+  name: 'figma_proxy_in_flight_requests',
+  help: 'Requests currently being proxied',
+  labelNames: ['route'],
+  registers: [registry],
+});
+
+const upstreamTotal = new client.Counter({
+  name: 'figma_proxy_upstream_requests_total',
+  help: 'Upstream attempts by provider, proxy route (worker/http/socks5/direct) and outcome',
+  labelNames: ['provider', 'via', 'outcome'],
+  registers: [registry],
+});
+
+const upstreamDuration = new client.Histogram({
+  name: 'figma_proxy_upstream_duration_seconds',
+  help: 'Time to upstream response headers, by provider and proxy route',
+  labelNames: ['provider', 'via'],
+  buckets: LATENCY_BUCKETS,
+  registers: [registry],
+});
+
+const errorsTotal = new client.Counter({
+  name: 'figma_proxy_errors_total',
+  help: 'Errors by provider, source (upstream or proxy) and category',
+  labelNames: ['provider', 'source', 'category'],
+  registers: [registry],
+});
+
+const rejectionsTotal = new client.Counter({
+  name: 'figma_proxy_rejections_total',
+  help: 'Requests rejected before forwarding (rate limit, quota, client auth or concurrency queue)',
+  labelNames: ['provider', 'reason'],
+  registers: [registry],
+});
+
+const cacheTotal = new client.Counter({
+  name: 'figma_proxy_cache_requests_total',
+  help: 'Response cache lookups by provider and result (hit, miss, bypass)',
+  labelNames: ['provider', 'result'],
+  registers: [registry],
+});
+
+let knownProviders = new Set();
+
+/** Set the provider keys allowed as label values. */
+function setProviders(keys) {
+  knownProviders = new Set(keys);
+}
+
+function providerLabel(key) {
+  return knownProviders.has(key) ? key : 'unknown';
+}
+
+/**
+ * Outcome label for an upstream attempt: status class, "timeout" or "network_error".
+ */
+function outcomeLabel(status, error) {
+  if (error) return error.name === 'AbortError' ? 'timeout' : 'network_error';
+  return `${Math.floor(status / 100)}xx`;
+}
+
+/**
+ * Category for an upstream HTTP error status.
+ */
+function upstreamCategory(status) {
+  if (status === 429) return 'rate_limited';
+  if (status === 529) return 'overloaded';
+  if (status >= 500) return 'server_error';
+  return 'client_error';
+}
+
+/**
+ * Express middleware: count and time a request, track it as in flight.
+ * The provider label is read from res.locals.provider (set by the handler
+ * once known) or the :provider route param.
+ */
+function trackRequest(route) {
+  return (req, res, next) => {
+    const end = requestDuration.startTimer();
+    inFlight.inc({ route });
+    let done = false;
+    const finish = () => {
+      if (done) return;
+      done = true;
+      inFlight.dec({ route });
+      const provider = providerLabel(res.locals.provider || req.params.provider);
+      end({ provider, route });
+      requestsTotal.inc({ provider, route, status: res.headersSent ? res.statusCode : 499 });
+    };
+    res.on('finish', finish);
+    res.on('close', finish);
+    next();
+  };
+}
+
+/**
+ * Record one upstream attempt. error is set when no response arrived.
+ */
+function recordUpstream(providerKey, via, seconds, status, error) {
+  const provider = providerLabel(providerKey);
+  upstreamTotal.inc({ provider, via, outcome: outcomeLabel(status, error) });
+  upstreamDuration.observe({ provider, via }, seconds);
+  if (!error && status >= 400) {
+    errorsTotal.inc({ provider, source: 'upstream', category: upstreamCategory(status) });
+  }
+}
+
+/** Record a proxy-side error (categories mirror handleProxyError). */
+function recordProxyError(providerKey, category) {
+  errorsTotal.inc({ provider: providerLabel(providerKey), source: 'proxy', category });
+}
+
+/**
+ * Record a request rejected before forwarding: reason 'rate_limit',
+ * 'token_rate_limit', 'quota', 'client_auth', 'queue_full' or 'queue_timeout'.
+ */
+function recordRejection(providerKey, reason) {
+  rejectionsTotal.inc({ provider: providerLabel(providerKey), reason });
+}
+
+/** Record a response cache lookup: result 'hit', 'miss' or 'bypass'. */
+function recordCache(providerKey, result) {
+  cacheTotal.inc({ provider: providerLabel(providerKey), result });
+}
+
+module.exports = {
+  registry,
+  setProviders,
+  trackRequest,
+  recordUpstream,
+  recordProxyError,
+  recordRejection,
+  recordCache,
+  upstreamCategory,
+};
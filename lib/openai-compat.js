@@ -0,0 +1,502 @@
+/**
+ * OpenAI Chat Completions compatibility layer.
+ *
+ * Translates an OpenAI-style chat-completions request into each provider's
+ * native dialect, and translates the native reply (text, usage, finish
+ * reason) back into OpenAI shape. Pure functions — no network access.
+ *
+ * Dialects:
+ *   'openai'    — Groq, Mistral, OpenAI, OpenRouter, DeepSeek, Ollama, LM Studio
+ *                 (body passed through, model rewritten)
+ *   'anthropic' — Claude Messages API
+ *   'gemini'    — Gemini generateContent
+ *   'yandex'    — Yandex Foundation Models completion
+ *   'cohere'    — Cohere v1 /chat
+ */
+
+const crypto = require('crypto');
+
+const DEFAULT_MAX_TOKENS = 1024;
+
+/**
+ * Error raised for requests that cannot be translated.
+ * Carries an HTTP status and a hint, like the validation errors in server.js.
+ */
+class TranslationError extends Error {
+  constructor(message, hint, status = 400) {
+    super(message);
+    this.name = 'TranslationError';
+    this.status = status;
+    this.hint = hint;
+  }
+}
+
+// =====================================================================
+// REQUEST HELPERS
+// =====================================================================
+
+/**
+ * Split "provider/model" into its parts. The model part may itself contain
+ * slashes (e.g. "yandex/gpt://b1g.../yandexgpt-lite/latest").
+ */
+function parseModel(model) {
+  if (typeof model !== 'string' || !model.includes('/')) {
+    throw new TranslationError(
+      'Invalid model',
+      'Use "provider/model", e.g. "claude/claude-3-5-haiku-20241022" or "groq/llama-3.3-70b-versatile"'
+    );
+  }
+  const slash = model.indexOf('/');
+  return { providerKey: model.slice(0, slash), model: model.slice(slash + 1) };
+}
+
+/**
+ * Normalize OpenAI message content (string or array of parts) into a list of
+ * { type: 'text', text } and { type: 'image', url } parts.
+ */
+function contentParts(content) {
+  if (content == null) return [];
+  if (typeof content === 'string') return [{ type: 'text', text: content }];
+  if (!Array.isArray(content)) {
+    throw new TranslationError('Invalid message content', 'content must be a string or an array of parts');
+  }
+  return content.map((part) => {
+    if (part === null || typeof part !== 'object' || typeof part.type !== 'string') {
+      throw new TranslationError('Invalid content part', 'Each content part must be an object with a "type"');
+    }
+    if (part.type === 'text') return { type: 'text', text: part.text || '' };
+    if (part.type === 'image_url') {
+      const url = typeof part.image_url === 'string' ? part.image_url : part.image_url?.url;
+      return { type: 'image', url };
+    }
+    throw new TranslationError(`Unsupported content part type "${part.type}"`, 'Only text and image_url parts are supported');
+  });
+}
+
+function contentText(content) {
+  return contentParts(content)
+    .filter((p) => p.type === 'text')
+    .map((p) => p.text)
+    .join('');
+}
+
+/**
+ * Parse a data: URL into { mediaType, data }, or null for other URLs.
+ */
+function parseDataUrl(url) {
+  const match = /^data:([^;,]+);base64,(.*)$/s.exec(url || '');
+  return match ? { mediaType: match[1], data: match[2] } : null;
+}
+
+function requireTextOnly(parts, dialect) {
+  if (parts.some((p) => p.type === 'image')) {
+    throw new TranslationError(`Image input is not supported for ${dialect} via /v1/chat/completions`, 'Send text-only messages');
+  }
+}
+
+function splitSystem(messages) {
+  const system = messages.filter((m) => m.role === 'system' || m.role === 'developer');
+  const rest = messages.filter((m) => m.role !== 'system' && m.role !== 'developer');
+  return { systemText: system.map((m) => contentText(m.content)).join('\n\n'), rest };
+}
+
+function stopList(stop) {
+  if (stop == null) return undefined;
+  return Array.isArray(stop) ? stop : [stop];
+}
+
+// =====================================================================
+// REQUEST TRANSLATORS
+// =====================================================================
+
+/**
+ * Build the native request for a dialect.
+ * Returns { subpath, body } — subpath is appended to the provider's
+ * targetBaseUrl ('' for 'fixed' providers).
+ */
+function toProviderRequest(dialect, model, body, options = {}) {
+  if (!Array.isArray(body.messages) || body.messages.length === 0) {
+    throw new TranslationError('Missing messages', 'Request must include a non-empty messages array');
+  }
+  const invalid = body.messages.findIndex((m) => m === null || typeof m !== 'object' || typeof m.role !== 'string');
+  if (invalid !== -1) {
+    throw new TranslationError(`Invalid message at index ${invalid}`, 'Each message must be an object with a string "role"');
+  }
+
+  const maxTokens = body.max_completion_tokens ?? body.max_tokens;
+  const stream = body.stream === true;
+
+  switch (dialect) {
+    case 'openai':
+      return {
+        subpath: '/chat/completions',
+        body: { ...body, model },
+      };
+
+    case 'anthropic': {
+      const { systemText, rest } = splitSystem(body.messages);
+      const messages = rest.map((m) => ({
+        role: m.role === 'assistant' ? 'assistant' : 'user',
+        content: contentParts(m.content).map((p) => {
+          if (p.type === 'text') return { type: 'text', text: p.text };
+          const data = parseDataUrl(p.url);
+          return data
+            ? { type: 'image', source: { type: 'base64', media_type: data.mediaType, data: data.data } }
+            : { type: 'image', source: { type: 'url', url: p.url } };
+        }),
+      }));
+      return {
+        subpath: '/messages',
+        body: {
+          model,
+          max_tokens: maxTokens || DEFAULT_MAX_TOKENS,
+          messages,
+          ...(systemText && { system: systemText }),
+          ...(body.temperature != null && { temperature: body.temperature }),
+          ...(body.top_p != null && { top_p: body.top_p }),
+          ...(body.stop != null && { stop_sequences: stopList(body.stop) }),
+          ...(stream && { stream: true }),
+        },
+      };
+    }
+
+    case 'gemini': {
+      const { systemText, rest } = splitSystem(body.messages);
+      const contents = rest.map((m) => ({
+        role: m.role === 'assistant' ? 'model' : 'user',
+        parts: contentParts(m.content).map((p) => {
+          if (p.type === 'text') return { text: p.text };
+          const data = parseDataUrl(p.url);
+          if (!data) {
+            throw new TranslationError('Gemini accepts only inline images', 'Send images as base64 data: URLs');
+          }
+          return { inline_data: { mime_type: data.mediaType, data: data.data } };
+        }),
+      }));
+      const generationConfig = {
+        ...(body.temperature != null && { temperature: body.temperature }),
+        ...(body.top_p != null && { topP: body.top_p }),
+        ...(maxTokens != null && { maxOutputTokens: maxTokens }),
+        ...(body.stop != null && { stopSequences: stopList(body.stop) }),
+      };
+      return {
+        subpath: stream
+          ? `/models/${encodeURIComponent(model)}:streamGenerateContent?alt=sse`
+          : `/models/${encodeURIComponent(model)}:generateContent`,
+        body: {
+          contents,
+          ...(systemText && { systemInstruction: { parts: [{ text: systemText }] } }),
+          ...(Object.keys(generationConfig).length > 0 && { generationConfig }),
+        },
+      };
+    }
+
+    case 'yandex': {
+      if (stream) {
+        throw new TranslationError('Streaming is not supported for yandex via /v1/chat/completions', 'Set "stream": false or call /api/yandex directly');
+      }
+      let modelUri = model;
+      if (!modelUri.startsWith('gpt://')) {
+        if (!options.folderId) {
+          throw new TranslationError(
+            'Yandex model needs a folder',
+            'Use "yandex/gpt://FOLDER_ID/yandexgpt-lite/latest" or send an x-folder-id header'
+          );
+        }
+        modelUri = `gpt://${options.folderId}/${model.includes('/') ? model : `${model}/latest`}`;
+      }
+      const messages = body.messages.map((m) => {
+        const parts = contentParts(m.content);
+        requireTextOnly(parts, 'yandex');
+        return {
+          role: m.role === 'developer' ? 'system' : m.role,
+          text: parts.map((p) => p.text).join(''),
+        };
+      });
+      return {
+        subpath: '',
+        body: {
+          modelUri,
+          completionOptions: {
+            stream: false,
+            ...(body.temperature != null && { temperature: body.temperature }),
+            ...(maxTokens != null && { maxTokens: String(maxTokens) }),
+          },
+          messages,
+        },
+      };
+    }
+
+    case 'cohere': {
+      if (stream) {
+        throw new TranslationError('Streaming is not supported for cohere via /v1/chat/completions', 'Set "stream": false or call /api/cohere/chat directly');
+      }
+      const { systemText, rest } = splitSystem(body.messages);
+      const texts = rest.map((m) => {
+        const parts = contentParts(m.content);
+        requireTextOnly(parts, 'cohere');
+        return { role: m.role, text: parts.map((p) => p.text).join('') };
+      });
+      const last = texts.pop();
+      if (!last || last.role !== 'user') {
+        throw new TranslationError('Last message must be from the user', 'Cohere v1 chat answers the final user message');
+      }
+      return {
+        subpath: '/chat',
+        body: {
+          model,
+          message: last.text,
+          ...(texts.length > 0 && {
+            chat_history: texts.map((m) => ({ role: m.role === 'assistant' ? 'CHATBOT' : 'USER', message: m.text })),
+          }),
+          ...(systemText && { preamble: systemText }),
+          ...(body.temperature != null && { temperature: body.temperature }),
+          ...(body.top_p != null && { p: body.top_p }),
+          ...(maxTokens != null && { max_tokens: maxTokens }),
+          ...(body.stop != null && { stop_sequences: stopList(body.stop) }),
+        },
+      };
+    }
+
+    default:
+      throw new TranslationError(`Provider dialect "${dialect}" cannot be used via /v1/chat/completions`, 'Call /api/{provider}/... directly', 400);
+  }
+}
+
+/**
+ * Adjust forwarded headers for dialects whose auth differs from the
+ * "Authorization: Bearer KEY" an OpenAI client sends.
+ */
+function toProviderHeaders(dialect, headers) {
+  if (dialect !== 'gemini') return headers;
+
+  const transformed = { ...headers };
+  const auth = transformed['Authorization'] || '';
+  if (auth.startsWith('Bearer ')) {
+    transformed['x-goog-api-key'] = auth.slice(7);
+    delete transformed['Authorization'];
+  }
+  return transformed;
+}
+
+// =====================================================================
+// RESPONSE TRANSLATORS
+// =====================================================================
+
+const FINISH_REASONS = {
+  anthropic: { end_turn: 'stop', stop_sequence: 'stop', max_tokens: 'length', tool_use: 'tool_calls' },
+  gemini: { STOP: 'stop', MAX_TOKENS: 'length', SAFETY: 'content_filter', RECITATION: 'content_filter', BLOCKLIST: 'content_filter' },
+  yandex: {
+    ALTERNATIVE_STATUS_FINAL: 'stop',
+    ALTERNATIVE_STATUS_TRUNCATED_FINAL: 'length',
+    ALTERNATIVE_STATUS_CONTENT_FILTER: 'content_filter',
+  },
+  cohere: { COMPLETE: 'stop', STOP_SEQUENCE: 'stop', MAX_TOKENS: 'length', ERROR_TOXIC: 'content_filter' },
+};
+
+function finishReason(dialect, native) {
+  if (native == null) return null;
+  return FINISH_REASONS[dialect]?.[native] || 'stop';
+}
+
+function usage(promptTokens, completionTokens, totalTokens) {
+  if (promptTokens == null && completionTokens == null) return undefined;
+  const prompt = Number(promptTokens) || 0;
+  const completion = Number(completionTokens) || 0;
+  return {
+    prompt_tokens: prompt,
+    completion_tokens: completion,
+    total_tokens: totalTokens != null ? Number(totalTokens) : prompt + completion,
+  };
+}
+
+function completionId() {
+  return `chatcmpl-${crypto.randomBytes(12).toString('hex')}`;
+}
+
+/**
+ * Extract { text, finishReason, usage } from a native (non-streaming) reply.
+ */
+function parseProviderResponse(dialect, data) {
+  switch (dialect) {
+    case 'openai': {
+      const choice = data?.choices?.[0];
+      return {
+        text: choice?.message?.content ?? '',
+        finishReason: choice?.finish_reason ?? null,
+        usage: data?.usage,
+      };
+    }
+    case 'anthropic':
+      return {
+        text: (data?.content || []).filter((b) => b.type === 'text').map((b) => b.text).join(''),
+        finishReason: finishReason(dialect, data?.stop_reason),
+        usage: usage(data?.usage?.input_tokens, data?.usage?.output_tokens),
+      };
+    case 'gemini': {
+      const candidate = data?.candidates?.[0];
+      const meta = data?.usageMetadata;
+      return {
+        text: (candidate?.content?.parts || []).map((p) => p.text || '').join(''),
+        finishReason: finishReason(dialect, candidate?.finishReason),
+        usage: usage(meta?.promptTokenCount, meta?.candidatesTokenCount, meta?.totalTokenCount),
+      };
+    }
+    case 'yandex': {
+      const result = data?.result;
+      const alternative = result?.alternatives?.[0];
+      return {
+        text: alternative?.message?.text ?? '',
+        finishReason: finishReason(dialect, alternative?.status),
+        usage: usage(result?.usage?.inputTextTokens, result?.usage?.completionTokens, result?.usage?.totalTokens),
+      };
+    }
+    case 'cohere': {
+      const units = data?.meta?.billed_units || data?.meta?.tokens;
+      return {
+        text: data?.text ?? '',
+        finishReason: finishReason(dialect, data?.finish_reason),
+        usage: usage(units?.input_tokens, units?.output_tokens),
+      };
+    }
+    default:
+      return { text: '', finishReason: null, usage: undefined };
+  }
+}
+
+/**
+ * Translate a native reply into an OpenAI chat.completion object.
+ * Replies from 'openai' dialect providers are returned unchanged apart from the model name.
+ */
+function toOpenAIResponse(dialect, data, model) {
+  if (dialect === 'openai') return { ...data, model };
+
+  const parsed = parseProviderResponse(dialect, data);
+  return {
+    id: completionId(),
+    object: 'chat.completion',
+    created: Math.floor(Date.now() / 1000),
+    model,
+    choices: [{
+      index: 0,
+      message: { role: 'assistant', content: parsed.text },
+      finish_reason: parsed.finishReason,
+    }],
+    ...(parsed.usage && { usage: parsed.usage }),
+  };
+}
+
+/**
+ * Translate a native error body into an OpenAI-style { error: {...} } object.
+ */
+function toOpenAIError(data, status, providerName) {
+  const upstream = data?.error;
+  const message = (typeof upstream === 'string' ? upstream : upstream?.message) || data?.message || `${providerName} returned HTTP ${status}`;
+  return {
+    error: {
+      message,
+      type: status >= 500 ? 'upstream_error' : 'invalid_request_error',
+      code: status,
+      provider: providerName,
+    },
+  };
+}
+
+// =====================================================================
+// STREAMING
+// =====================================================================
+
+/**
+ * Create a translator for native SSE streams (anthropic, gemini).
+ * Feed it raw text chunks; it returns a string of OpenAI-style SSE lines
+ * ("data: {...}\n\n") ready to write to the client. end() flushes the
+ * final chunk and the "[DONE]" marker.
+ */
+function createStreamTranslator(dialect, model) {
+  const id = completionId();
+  const created = Math.floor(Date.now() / 1000);
+  let buffer = '';
+  let sentRole = false;
+  let finish = null;
+  let promptTokens;
+  let completionTokens;
+
+  const chunk = (delta, finishReasonValue = null, extra = {}) => `data: ${JSON.stringify({
+    id,
+    object: 'chat.completion.chunk',
+    created,
+    model,
+    choices: [{ index: 0, delta, finish_reason: finishReasonValue }],
+    ...extra,
+  })}\n\n`;
+
+  const textDelta = (text) => {
+    if (!text) return '';
+    const delta = sentRole ? { content: text } : { role: 'assistant', content: text };
+    sentRole = true;
+    return chunk(delta);
+  };
+
+  function handleEvent(event) {
+    if (dialect === 'anthropic') {
+      if (event.type === 'message_start') {
+        promptTokens = event.message?.usage?.input_tokens;
+      } else if (event.type === 'content_block_delta' && event.delta?.type === 'text_delta') {
+        return textDelta(event.delta.text);
+      } else if (event.type === 'message_delta') {
+        finish = finishReason(dialect, event.delta?.stop_reason) || finish;
+        completionTokens = event.usage?.output_tokens ?? completionTokens;
+      }
+      return '';
+    }
+
+    // gemini: each event is a partial GenerateContentResponse
+    const candidate = event.candidates?.[0];
+    if (candidate?.finishReason) finish = finishReason(dialect, candidate.finishReason);
+    if (event.usageMetadata) {
+      promptTokens = event.usageMetadata.promptTokenCount;
+      completionTokens = event.usageMetadata.candidatesTokenCount;
+    }
+    return textDelta((candidate?.content?.parts || []).map((p) => p.text || '').join(''));
+  }
+
+  return {
+    write(text) {
+      buffer += text.replace(/\r\n/g, '\n');
+      let out = '';
+      let boundary;
+      while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+        const block = buffer.slice(0, boundary);
+        buffer = buffer.slice(boundary + 2);
+        const data = block
+          .split('\n')
+          .filter((line) => line.startsWith('data:'))
+          .map((line) => line.slice(5).trim())
+          .join('');
+        if (!data) continue;
+        try {
+          out += handleEvent(JSON.parse(data));
+        } catch {
+          // Ignore malformed events rather than breaking the stream
+        }
+      }
+      return out;
+    },
+
+    end() {
+      const finalUsage = usage(promptTokens, completionTokens);
+      return chunk({}, finish || 'stop', finalUsage ? { usage: finalUsage } : {}) + 'data: [DONE]\n\n';
+    },
+  };
+}
+
+module.exports = {
+  TranslationError,
+  parseModel,
+  toProviderRequest,
+  toProviderHeaders,
+  parseProviderResponse,
+  toOpenAIResponse,
+  toOpenAIError,
+  createStreamTranslator,
+};
@@ -0,0 +1,108 @@
+/**
+ * Per-model price table for cost estimates.
+ *
+ * Prices are USD per 1M tokens: { input, output }. Keys are model-name
+ * prefixes, optionally qualified by provider ("gemini/gemini-2.0-flash");
+ * the longest matching key wins, provider-qualified keys first.
+ *
+ * The defaults are list prices at the time of writing and only meant as
+ * estimates — override or extend them with a JSON file (PRICES_FILE) of
+ * the same shape.
+ */
+
+const fs = require('fs');
+const { logger } = require('./logger');
+
+const DEFAULT_PRICES = {
+  // Anthropic
+  'claude-3-haiku': { input: 0.25, output: 1.25 },
+  'claude-3-5-haiku': { input: 0.8, output: 4 },
+  'claude-3-5-sonnet': { input: 3, output: 15 },
+  'claude-3-7-sonnet': { input: 3, output: 15 },
+  'claude-sonnet-4': { input: 3, output: 15 },
+  'claude-3-opus': { input: 15, output: 75 },
+  'claude-opus-4': { input: 15, output: 75 },
+
+  // Google
+  'gemini-1.5-flash': { input: 0.075, output: 0.3 },
+  'gemini-1.5-pro': { input: 1.25, output: 5 },
+  'gemini-2.0-flash-lite': { input: 0.075, output: 0.3 },
+  'gemini-2.0-flash': { input: 0.1, output: 0.4 },
+  'gemini-2.5-flash': { input: 0.3, output: 2.5 },
+  'gemini-2.5-pro': { input: 1.25, output: 10 },
+
+  // Groq
+  'llama-3.1-8b-instant': { input: 0.05, output: 0.08 },
+  'llama-3.3-70b-versatile': { input: 0.59, output: 0.79 },
+
+  // Mistral
+  'mistral-small': { input: 0.2, output: 0.6 },
+  'mistral-medium': { input: 0.4, output: 2 },
+  'mistral-large': { input: 2, output: 6 },
+
+  // Cohere
+  'command-r7b': { input: 0.0375, output: 0.15 },
+  'command-r': { input: 0.15, output: 0.6 },
+  'command-r-plus': { input: 2.5, output: 10 },
+
+  // OpenAI
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-4.1': { input: 2, output: 8 },
+  'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+  'gpt-4.1-nano': { input: 0.1, output: 0.4 },
+  'o3-mini': { input: 1.1, output: 4.4 },
+  'o4-mini': { input: 1.1, output: 4.4 },
+
+  // DeepSeek
+  'deepseek-chat': { input: 0.27, output: 1.1 },
+  'deepseek-reasoner': { input: 0.55, output: 2.19 },
+
+  // Local servers (any model)
+  'ollama/': { input: 0, output: 0 },
+  'lmstudio/': { input: 0, output: 0 },
+};
+
+/**
+ * Build the price table: defaults merged with PRICES_FILE, if given.
+ */
+function loadPrices(file) {
+  if (!file) return { ...DEFAULT_PRICES };
+  try {
+    return { ...DEFAULT_PRICES, ...JSON.parse(fs.readFileSync(file, 'utf8')) };
+  } catch (err) {
+    logger.error(`Cannot read price table ${file}: ${err.message} — using defaults`, { component: 'usage' });
+    return { ...DEFAULT_PRICES };
+  }
+}
+
+/**
+ * Find the price entry for a model, or null if it is not priced.
+ */
+function findPrice(prices, providerKey, model) {
+  const candidates = [`${providerKey}/${model}`, model];
+  for (const name of candidates) {
+    let best = null;
+    for (const key of Object.keys(prices)) {
+      if (name.startsWith(key) && (!best || key.length > best.length)) best = key;
+    }
+    if (best) return prices[best];
+  }
+  return null;
+}
+
+/**
+ * Estimated cost in USD for a usage record, or null if the model is not priced.
+ */
+function estimateCost(prices, providerKey, model, usage) {
+  const price = findPrice(prices, providerKey, model);
+  if (!price || !usage) return null;
+  return ((usage.inputTokens || 0) * price.input + (usage.outputTokens || 0) * price.output) / 1e6;
+}
+
+module.exports = {
+  DEFAULT_PRICES,
+  loadPrices,
+  findPrice,
+  estimateCost,
+};
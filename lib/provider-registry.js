@@ -0,0 +1,346 @@
+/**
+ * Declarative provider registry, loaded from PROVIDERS_FILE (YAML or JSON).
+ *
+ * The file maps provider keys to definitions. A key that matches a built-in
+ * provider is merged onto it field by field, so `claude: { rateLimit: { max: 30 } }`
+ * only changes the limit; `enabled: false` removes a provider. New keys need
+ * at least name and targetBaseUrl:
+ *
+ *   together:
+ *     name: Together AI
+ *     targetBaseUrl: https://api.together.xyz/v1
+ *     pathMode: subpath                  # or fixed
+ *     methods: [GET, POST]               # allowed HTTP methods (default POST)
+ *     uploadBaseUrl: https://…/upload/v1 # target for /api/{key}/upload/… (optional)
+ *     operationBaseUrl: https://…        # target for /api/{key}/operations/… (optional)
+ *     defaultPath: /completion           # subpath used for a bare /api/{key} (optional)
+ *     versions: [v1, v2]                 # selectable API versions, the first is the default
+ *                                        # and must end targetBaseUrl (and uploadBaseUrl)
+ *     maxUploadMB: 100                   # limit for raw (non-JSON) bodies
+ *     dialect: openai                    # openai | anthropic | gemini | yandex | cohere
+ *     auth: { header: Authorization, prefix: "Bearer " }   # null for keyless servers
+ *     headers:                           # header mapping rules, applied in this order
+ *       bearerTo: x-api-key              # move "Authorization: Bearer <key>" to this header
+ *       remove: [x-unwanted]
+ *       defaults: { x-title: Figma }     # set unless the client sent it
+ *       set: { x-title: Figma }          # always set
+ *     streamFlag: completionOptions.stream   # body field marking NDJSON streaming requests
+ *     validate: yandex                   # built-in request validator
+ *     retry: { maxAttempts: 4 }
+ *     rateLimit: { max: 60, windowMs: 60000 }   # requests per window, per caller
+ *                                        # keyBy: ip | client | key (default RATE_LIMIT_KEY)
+ *                                        # tokensPerMinute: input + output tokens per caller
+ *     concurrency: { max: 4, queue: 50, queueTimeoutMs: 30000 }   # simultaneous upstream calls
+ *     proxy: socks5://127.0.0.1:1080     # worker://…, http(s)://…, socks5://… or direct
+ *
+ * Definitions are validated as a whole; a file with any problem is rejected
+ * with a ProviderConfigError listing all of them.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+const { KEY_BY } = require('./rate-limit');
+
+const DIALECTS = ['openai', 'anthropic', 'gemini', 'yandex', 'cohere'];
+const PATH_MODES = ['fixed', 'subpath'];
+const METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'];
+const KEY_PATTERN = /^[a-z][a-z0-9_]*$/;
+const VERSION_PATTERN = /^[a-z0-9][a-z0-9._-]*$/i;
+const PROXY_PATTERN = /^(direct|worker:\/\/|https?:\/\/|socks[45]?:\/\/)/;
+
+const FIELDS = [
+  'name', 'targetBaseUrl', 'uploadBaseUrl', 'operationBaseUrl', 'defaultPath', 'versions', 'pathMode', 'methods', 'dialect', 'auth', 'headers',
+  'streamFlag', 'validate', 'retry', 'rateLimit', 'concurrency', 'maxUploadMB', 'proxy', 'enabled',
+];
+const HEADER_RULES = ['bearerTo', 'remove', 'defaults', 'set'];
+const RETRY_FIELDS = ['maxAttempts', 'baseDelayMs', 'maxDelayMs', 'maxRetryAfterMs'];
+const RATE_LIMIT_FIELDS = ['max', 'windowMs', 'keyBy', 'tokensPerMinute'];
+const CONCURRENCY_FIELDS = ['max', 'queue', 'queueTimeoutMs'];
+
+const DEFAULT_RATE_LIMIT = { max: 60, windowMs: 60 * 1000 };
+
+class ProviderConfigError extends Error {
+  constructor(file, problems) {
+    super(`Invalid provider registry ${file}:\n  - ${problems.join('\n  - ')}`);
+    this.name = 'ProviderConfigError';
+    this.problems = problems;
+  }
+}
+
+/**
+ * Parse the registry file. Accepts { providers: {...} } or a bare map.
+ */
+function readRegistryFile(file) {
+  const text = fs.readFileSync(file, 'utf8');
+  const ext = path.extname(file).toLowerCase();
+  const parsed = ext === '.json' ? JSON.parse(text) : YAML.parse(text);
+  const providers = parsed && typeof parsed === 'object' && 'providers' in parsed ? parsed.providers : parsed;
+  if (!providers || typeof providers !== 'object' || Array.isArray(providers)) {
+    throw new ProviderConfigError(file, ['expected a map of provider keys to definitions']);
+  }
+  return providers;
+}
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isPositiveInt = (value) => Number.isInteger(value) && value > 0;
+
+/**
+ * Validate one merged definition. Returns a list of problems (empty if valid).
+ */
+function validateDefinition(key, def, validators) {
+  const problems = [];
+  const at = (message) => problems.push(`${key}: ${message}`);
+
+  for (const field of Object.keys(def)) {
+    if (!FIELDS.includes(field) && !['transformHeaders', 'validateRequest', 'isStreamRequest'].includes(field)) {
+      at(`unknown field "${field}"`);
+    }
+  }
+
+  if (typeof def.name !== 'string' || !def.name.trim()) at('"name" is required');
+
+  for (const field of ['targetBaseUrl', 'uploadBaseUrl', 'operationBaseUrl']) {
+    if (field !== 'targetBaseUrl' && def[field] == null) continue;
+    try {
+      const url = new URL(def[field]);
+      if (!['http:', 'https:'].includes(url.protocol)) at(`"${field}" must be an http(s) URL`);
+    } catch {
+      at(`"${field}" must be a valid URL`);
+    }
+  }
+
+  if (!PATH_MODES.includes(def.pathMode)) at(`"pathMode" must be one of ${PATH_MODES.join(', ')}`);
+  if (def.defaultPath != null && (typeof def.defaultPath !== 'string' || !def.defaultPath.startsWith('/'))) {
+    at('"defaultPath" must be a path starting with "/"');
+  }
+  if (def.versions != null) {
+    if (!Array.isArray(def.versions) || def.versions.length === 0
+      || def.versions.some((v) => typeof v !== 'string' || !VERSION_PATTERN.test(v))) {
+      at(`"versions" must be a list of version names matching ${VERSION_PATTERN}`);
+    } else {
+      for (const field of ['targetBaseUrl', 'uploadBaseUrl']) {
+        if (typeof def[field] === 'string' && replaceVersionSegment(def[field], def.versions[0], def.versions[0]) === null) {
+          at(`"${field}" must end with the default version segment "/${def.versions[0]}" (no trailing slash or query)`);
+        }
+      }
+    }
+  }
+  if (!Array.isArray(def.methods) || def.methods.length === 0
+    || def.methods.some((m) => typeof m !== 'string' || !METHODS.includes(m.toUpperCase()))) {
+    at(`"methods" must be a list of ${METHODS.join(', ')}`);
+  }
+  if (!DIALECTS.includes(def.dialect)) at(`"dialect" must be one of ${DIALECTS.join(', ')}`);
+
+  // auth: null marks a keyless provider (e.g. a local model server)
+  if (def.auth !== null && (!isObject(def.auth) || typeof def.auth.header !== 'string' || !def.auth.header)) {
+    at('"auth.header" is required (or "auth: null" for keyless servers)');
+  } else if (def.auth && def.auth.prefix != null && typeof def.auth.prefix !== 'string') {
+    at('"auth.prefix" must be a string');
+  }
+
+  if (def.headers != null) {
+    if (!isObject(def.headers)) {
+      at('"headers" must be a map of rules');
+    } else {
+      for (const rule of Object.keys(def.headers)) {
+        if (!HEADER_RULES.includes(rule)) at(`unknown header rule "${rule}" (use ${HEADER_RULES.join(', ')})`);
+      }
+      const { bearerTo, remove, defaults, set } = def.headers;
+      if (bearerTo != null && typeof bearerTo !== 'string') at('"headers.bearerTo" must be a header name');
+      if (remove != null && (!Array.isArray(remove) || remove.some((h) => typeof h !== 'string'))) {
+        at('"headers.remove" must be a list of header names');
+      }
+      for (const [rule, map] of [['defaults', defaults], ['set', set]]) {
+        if (map != null && (!isObject(map) || Object.values(map).some((v) => typeof v !== 'string'))) {
+          at(`"headers.${rule}" must map header names to strings`);
+        }
+      }
+    }
+  }
+
+  if (def.streamFlag != null && typeof def.streamFlag !== 'string') at('"streamFlag" must be a body field path');
+  if (def.validate != null && !validators[def.validate]) {
+    at(`unknown validator "${def.validate}" (available: ${Object.keys(validators).join(', ') || 'none'})`);
+  }
+
+  for (const [field, allowed] of [['retry', RETRY_FIELDS], ['rateLimit', RATE_LIMIT_FIELDS], ['concurrency', CONCURRENCY_FIELDS]]) {
+    if (def[field] == null) continue;
+    if (!isObject(def[field])) {
+      at(`"${field}" must be a map`);
+      continue;
+    }
+    for (const [name, value] of Object.entries(def[field])) {
+      if (!allowed.includes(name)) {
+        at(`unknown field "${field}.${name}"`);
+      } else if (name === 'keyBy') {
+        if (!KEY_BY.includes(value)) at(`"${field}.keyBy" must be one of ${KEY_BY.join(', ')}`);
+      } else if (!isPositiveInt(value)) {
+        at(`"${field}.${name}" must be a positive integer`);
+      }
+    }
+  }
+
+  if (def.maxUploadMB != null && !(typeof def.maxUploadMB === 'number' && def.maxUploadMB > 0)) {
+    at('"maxUploadMB" must be a positive number');
+  }
+
+  if (def.proxy != null && (typeof def.proxy !== 'string' || !PROXY_PATTERN.test(def.proxy))) {
+    at('"proxy" must be "direct" or a worker://, http(s):// or socks5:// URL');
+  }
+
+  return problems;
+}
+
+/**
+ * Swap the version segment a base URL ends with: ("…/v1beta", "v1beta", "v1")
+ * gives "…/v1". Returns null unless the URL's last path segment is exactly
+ * `from`, with no trailing slash, query or fragment.
+ */
+function replaceVersionSegment(url, from, to) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return null;
+  }
+  if (parsed.search || parsed.hash || parsed.pathname.split('/').pop() !== from || !url.endsWith(`/${from}`)) return null;
+  return url.slice(0, -from.length) + to;
+}
+
+/**
+ * Build a transformHeaders function from declarative rules, run after the
+ * provider's own transformHeaders (if any). Header names are matched
+ * case-insensitively.
+ */
+function compileHeaderRules(rules, base) {
+  const findKey = (headers, name) => Object.keys(headers).find((h) => h.toLowerCase() === name.toLowerCase());
+  const remove = (headers, name) => {
+    const existing = findKey(headers, name);
+    if (existing) delete headers[existing];
+  };
+
+  return (input) => {
+    const headers = base ? base(input) : { ...input };
+
+    if (rules.bearerTo) {
+      const authKey = findKey(headers, 'authorization');
+      const value = authKey ? headers[authKey] : '';
+      if (value.startsWith('Bearer ')) {
+        delete headers[authKey];
+        headers[rules.bearerTo] = value.slice(7);
+      }
+    }
+    for (const name of rules.remove || []) remove(headers, name);
+    for (const [name, value] of Object.entries(rules.defaults || {})) {
+      if (!findKey(headers, name)) headers[name] = value;
+    }
+    for (const [name, value] of Object.entries(rules.set || {})) {
+      remove(headers, name);
+      headers[name] = value;
+    }
+    return headers;
+  };
+}
+
+/**
+ * Read a dotted field path ("completionOptions.stream") from an object.
+ */
+function getPath(object, fieldPath) {
+  return fieldPath.split('.').reduce((value, part) => (value == null ? undefined : value[part]), object);
+}
+
+/**
+ * Turn a validated definition into the runtime provider shape used by
+ * server.js (transformHeaders/validateRequest/isStreamRequest hooks).
+ */
+function compileProvider(def, validators) {
+  const provider = {
+    name: def.name,
+    targetBaseUrl: def.targetBaseUrl,
+    pathMode: def.pathMode,
+    methods: [...new Set(def.methods.map((m) => m.toUpperCase()))],
+    dialect: def.dialect,
+    auth: def.auth ? { ...def.auth } : null,
+    transformHeaders: def.headers ? compileHeaderRules(def.headers, def.transformHeaders) : def.transformHeaders || null,
+    validateRequest: def.validate ? validators[def.validate] : def.validateRequest || null,
+    rateLimit: { ...DEFAULT_RATE_LIMIT, ...def.rateLimit },
+  };
+  if (def.streamFlag) {
+    provider.isStreamRequest = (req) => getPath(req.body, def.streamFlag) === true;
+  } else if (def.isStreamRequest) {
+    provider.isStreamRequest = def.isStreamRequest;
+  }
+  if (def.retry) provider.retry = { ...def.retry };
+  if (def.concurrency) provider.concurrency = { ...def.concurrency };
+  if (def.uploadBaseUrl) provider.uploadBaseUrl = def.uploadBaseUrl;
+  if (def.operationBaseUrl) provider.operationBaseUrl = def.operationBaseUrl;
+  if (def.defaultPath) provider.defaultPath = def.defaultPath;
+  if (def.versions) provider.versions = [...new Set(def.versions)];
+  if (def.maxUploadMB) provider.maxUploadMB = def.maxUploadMB;
+  if (def.proxy) provider.proxy = def.proxy;
+  return provider;
+}
+
+/**
+ * Build the provider map: built-ins merged with the file's definitions.
+ * builtins: { key: provider } (may carry code hooks); validators: { name: fn };
+ * reservedKeys: keys taken by other /api/* routes.
+ * Throws ProviderConfigError if any definition is invalid.
+ */
+function loadProviderRegistry({ file, builtins, validators = {}, reservedKeys = [] }) {
+  const fileDefs = file ? readRegistryFile(file) : {};
+  const problems = [];
+  const providers = {};
+
+  for (const key of new Set([...Object.keys(builtins), ...Object.keys(fileDefs)])) {
+    const override = fileDefs[key];
+    if (override != null && !isObject(override)) {
+      problems.push(`${key}: definition must be a map`);
+      continue;
+    }
+    if (!KEY_PATTERN.test(key)) {
+      problems.push(`${key}: provider keys must match ${KEY_PATTERN} (used in /api/{key} and env names)`);
+      continue;
+    }
+    if (reservedKeys.includes(key)) {
+      problems.push(`${key}: reserved for /api/${key}, pick another provider key`);
+      continue;
+    }
+
+    const def = { pathMode: 'subpath', methods: ['POST'], dialect: 'openai', auth: { header: 'Authorization', prefix: 'Bearer ' }, ...builtins[key], ...override };
+    if (def.enabled === false) continue;
+
+    const defProblems = validateDefinition(key, def, validators);
+    if (defProblems.length > 0) {
+      problems.push(...defProblems);
+      continue;
+    }
+    providers[key] = compileProvider(def, validators);
+  }
+
+  if (problems.length > 0) throw new ProviderConfigError(file, problems);
+  if (Object.keys(providers).length === 0) throw new ProviderConfigError(file, ['no providers enabled']);
+  return providers;
+}
+
+/**
+ * Call onChange() when the registry file changes (polled, so editor
+ * rename-on-save and bind mounts are handled). Returns a stop function.
+ */
+function watchRegistryFile(file, onChange, intervalMs = 2000) {
+  const listener = (current, previous) => {
+    if (current.mtimeMs !== previous.mtimeMs || current.size !== previous.size) onChange();
+  };
+  fs.watchFile(file, { interval: intervalMs, persistent: false }, listener);
+  return () => fs.unwatchFile(file, listener);
+}
+
+module.exports = {
+  DEFAULT_RATE_LIMIT,
+  DIALECTS,
+  ProviderConfigError,
+  loadProviderRegistry,
+  replaceVersionSegment,
+  watchRegistryFile,
+};
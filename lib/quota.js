@@ -0,0 +1,146 @@
+/**
+ * Per-client usage quotas with persistent accounting.
+ *
+ * Counts requests and input/output tokens per client, per UTC day and
+ * month, and enforces the configured limits before a request is forwarded.
+ * Counters are kept in memory and flushed to a JSON file (debounced), so
+ * they survive restarts. Only counts are stored — never prompts or replies.
+ *
+ * limits: { day: { requests?, inputTokens?, outputTokens? }, month: { ... } }
+ */
+
+const { loadJson, createFlusher } = require('./json-store');
+
+const PERIODS = ['day', 'month'];
+const METRICS = ['requests', 'inputTokens', 'outputTokens'];
+
+function periodKey(period, now = new Date()) {
+  const iso = now.toISOString();
+  return period === 'day' ? iso.slice(0, 10) : iso.slice(0, 7);
+}
+
+/**
+ * Next reset time (ISO string) for a period, in UTC.
+ */
+function periodReset(period, now = new Date()) {
+  const reset = period === 'day'
+    ? Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1)
+    : Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1);
+  return new Date(reset).toISOString();
+}
+
+function emptyCounters() {
+  return { requests: 0, inputTokens: 0, outputTokens: 0 };
+}
+
+function createQuotaStore({ file, limits }) {
+  const clients = loadJson(file, 'QUOTA')?.clients || {};
+  const flusher = createFlusher(file, () => ({ updatedAt: new Date().toISOString(), clients }), 'QUOTA');
+
+  /** Counters for a client, rolled over to the current day/month. */
+  function counters(clientId) {
+    const entry = clients[clientId] || (clients[clientId] = {});
+    for (const period of PERIODS) {
+      const key = periodKey(period);
+      if (!entry[period] || entry[period].key !== key) {
+        entry[period] = { key, ...emptyCounters() };
+      }
+    }
+    return entry;
+  }
+
+  return {
+    /**
+     * Check a client against the limits.
+     * Returns { allowed, remaining, exceeded? } — remaining lists only
+     * configured limits, e.g. { 'day.requests': 95 }.
+     */
+    check(clientId) {
+      const entry = counters(clientId);
+      const remaining = {};
+      let exceeded = null;
+      for (const period of PERIODS) {
+        for (const metric of METRICS) {
+          const limit = limits[period]?.[metric];
+          if (!limit) continue;
+          const left = Math.max(0, limit - entry[period][metric]);
+          remaining[`${period}.${metric}`] = left;
+          if (left === 0 && !exceeded) {
+            exceeded = { period, metric, limit, resetAt: periodReset(period) };
+          }
+        }
+      }
+      return { allowed: !exceeded, remaining, exceeded };
+    },
+
+    recordRequest(clientId) {
+      const entry = counters(clientId);
+      for (const period of PERIODS) entry[period].requests += 1;
+      flusher.schedule();
+    },
+
+    recordTokens(clientId, usage) {
+      if (!usage) return;
+      const entry = counters(clientId);
+      for (const period of PERIODS) {
+        entry[period].inputTokens += usage.inputTokens || 0;
+        entry[period].outputTokens += usage.outputTokens || 0;
+      }
+      flusher.schedule();
+    },
+
+    /** Current counters for a client (after rollover). */
+    get(clientId) {
+      const entry = counters(clientId);
+      return { day: { ...entry.day }, month: { ...entry.month } };
+    },
+
+    /** Current counters of every client active this month. */
+    list() {
+      const out = {};
+      for (const clientId of Object.keys(clients)) {
+        const entry = counters(clientId);
+        if (entry.month.requests > 0) out[clientId] = { day: { ...entry.day }, month: { ...entry.month } };
+      }
+      return out;
+    },
+
+    limits,
+
+    flush: flusher.flush,
+  };
+}
+
+/**
+ * Read quota limits from env: QUOTA_{DAILY|MONTHLY}_{REQUESTS|INPUT_TOKENS|OUTPUT_TOKENS}.
+ * Returns null if no limit is set.
+ */
+function limitsFromEnv(env = process.env) {
+  const names = { requests: 'REQUESTS', inputTokens: 'INPUT_TOKENS', outputTokens: 'OUTPUT_TOKENS' };
+  const limits = { day: {}, month: {} };
+  let any = false;
+  for (const [period, prefix] of [['day', 'QUOTA_DAILY'], ['month', 'QUOTA_MONTHLY']]) {
+    for (const metric of METRICS) {
+      const value = parseInt(env[`${prefix}_${names[metric]}`], 10);
+      if (value > 0) {
+        limits[period][metric] = value;
+        any = true;
+      }
+    }
+  }
+  return any ? limits : null;
+}
+
+/**
+ * Format remaining quota for the X-Quota-Remaining header:
+ * "day.requests=95, month.outputTokens=19000"
+ */
+function formatRemaining(remaining) {
+  return Object.entries(remaining).map(([key, value]) => `${key}=${value}`).join(', ');
+}
+
+module.exports = {
+  createQuotaStore,
+  limitsFromEnv,
+  formatRemaining,
+};
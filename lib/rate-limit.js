@@ -0,0 +1,184 @@
+/**
+ * Counter stores for rate limiting, shared by the per-provider request
+ * limiters (express-rate-limit) and the tokens-per-minute limits.
+ *
+ * Backends:
+ *   memory — in-process Map (default); counters reset on restart
+ *   file   — in-process, persisted to a JSON file so restarts keep counters
+ *   redis  — any Redis-protocol server, shared by all proxy instances
+ *
+ * Every backend implements hit(key, amount, windowMs) → { count, resetAt }:
+ * add `amount` to the key's counter for its current fixed window (started
+ * by the first hit) and return the new total and when the window ends.
+ */
+
+const { loadJson, createFlusher } = require('./json-store');
+const { createRedisClient } = require('./redis');
+const { logger } = require('./logger');
+
+const KEY_PREFIX = 'fap:rl:';
+const KEY_BY = ['ip', 'client', 'key'];
+// Store errors are logged at most this often
+const ERROR_LOG_INTERVAL_MS = 60 * 1000;
+
+function createMemoryBackend(initial = {}, onChange = () => {}) {
+  const counters = new Map(Object.entries(initial));
+
+  // Drop finished windows now and then so idle keys do not accumulate
+  const sweeper = setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of counters) {
+      if (entry.resetAt <= now) counters.delete(key);
+    }
+  }, 60 * 1000);
+  sweeper.unref();
+
+  return {
+    async hit(key, amount, windowMs) {
+      const now = Date.now();
+      let entry = counters.get(key);
+      if (!entry || entry.resetAt <= now) {
+        entry = { count: 0, resetAt: now + windowMs };
+        counters.set(key, entry);
+      }
+      entry.count += amount;
+      onChange();
+      return { count: entry.count, resetAt: entry.resetAt };
+    },
+
+    async reset(key) {
+      counters.delete(key);
+      onChange();
+    },
+
+    entries: () => Object.fromEntries([...counters].filter(([, entry]) => entry.resetAt > Date.now())),
+  };
+}
+
+function createFileBackend(file) {
+  const saved = loadJson(file, 'RATE-LIMIT')?.counters || {};
+  let flusher;
+  const memory = createMemoryBackend(saved, () => flusher.schedule());
+  flusher = createFlusher(file, () => ({ updatedAt: new Date().toISOString(), counters: memory.entries() }), 'RATE-LIMIT', 2000);
+  return { ...memory, flush: flusher.flush };
+}
+
+// INCRBY and start the window on the first hit, atomically
+const HIT_SCRIPT = `
+local count = redis.call('INCRBY', KEYS[1], ARGV[1])
+local ttl = redis.call('PTTL', KEYS[1])
+if ttl < 0 then
+  redis.call('PEXPIRE', KEYS[1], ARGV[2])
+  ttl = tonumber(ARGV[2])
+end
+return { count, ttl }
+`;
+
+function createRedisBackend(url) {
+  const client = createRedisClient(url);
+  return {
+    async hit(key, amount, windowMs) {
+      const [count, ttl] = await client.command('EVAL', HIT_SCRIPT, 1, KEY_PREFIX + key, amount, windowMs);
+      return { count, resetAt: Date.now() + ttl };
+    },
+
+    async reset(key) {
+      await client.command('DEL', KEY_PREFIX + key);
+    },
+
+    status: client.status,
+    address: client.address,
+  };
+}
+
+/**
+ * Create the counter store. backend: 'memory' | 'file' (file required) |
+ * 'redis' (url required).
+ *
+ * Store errors never block traffic: hit() then resolves with { count: 0 }
+ * (fail open) and the error is logged once a minute.
+ */
+function createRateLimitStore({ backend = 'memory', file, url }) {
+  let impl;
+  if (backend === 'file') impl = createFileBackend(file);
+  else if (backend === 'redis') impl = createRedisBackend(url);
+  else impl = createMemoryBackend();
+
+  let lastError = null;
+  let lastLogged = 0;
+
+  function failOpen(err, windowMs) {
+    lastError = err.message;
+    if (Date.now() - lastLogged >= ERROR_LOG_INTERVAL_MS) {
+      lastLogged = Date.now();
+      logger.error(`Store error, not limiting: ${err.message}`, { component: 'rate-limit' });
+    }
+    return { count: 0, resetAt: Date.now() + windowMs };
+  }
+
+  return {
+    backend,
+
+    async hit(key, amount, windowMs) {
+      try {
+        const result = await impl.hit(key, amount, windowMs);
+        lastError = null;
+        return result;
+      } catch (err) {
+        return failOpen(err, windowMs);
+      }
+    },
+
+    async reset(key) {
+      try {
+        await impl.reset(key);
+      } catch (err) {
+        failOpen(err, 0);
+      }
+    },
+
+    /** For /health: { backend, address?, connected?, lastError }. */
+    status() {
+      if (impl.status) return { backend, address: impl.address, ...impl.status() };
+      return { backend, lastError };
+    },
+
+    flush: () => impl.flush?.(),
+  };
+}
+
+/**
+ * Adapt a store to express-rate-limit's Store interface for one limiter.
+ * Each limiter needs its own adapter; the prefix keeps their keys apart.
+ */
+function limiterStore(store, prefix) {
+  let windowMs = 60 * 1000;
+  return {
+    prefix,
+    localKeys: store.backend !== 'redis',
+
+    init(options) {
+      windowMs = options.windowMs;
+    },
+
+    async increment(key) {
+      const { count, resetAt } = await store.hit(prefix + key, 1, windowMs);
+      // A failed store reports 0: count the request as the window's first
+      return { totalHits: Math.max(count, 1), resetTime: new Date(resetAt) };
+    },
+
+    async decrement(key) {
+      await store.hit(prefix + key, -1, windowMs);
+    },
+
+    async resetKey(key) {
+      await store.reset(prefix + key);
+    },
+  };
+}
+
+module.exports = {
+  KEY_BY,
+  createRateLimitStore,
+  limiterStore,
+};
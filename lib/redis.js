@@ -0,0 +1,221 @@
+/**
+ * Minimal client for the Redis protocol (RESP2), enough for shared rate
+ * limit counters: works with Redis, Valkey, KeyDB and Dragonfly.
+ *
+ * URL: redis://[[user]:password@]host[:port][/db]  (rediss:// for TLS)
+ *
+ * One connection, commands pipelined in order. The connection is opened
+ * lazily and re-opened on the next command after it drops; commands sent
+ * while it is down fail immediately instead of queueing, so callers can
+ * fall back rather than stall requests.
+ */
+
+const net = require('net');
+const tls = require('tls');
+
+const COMMAND_TIMEOUT_MS = 2000;
+// Minimum pause between reconnect attempts
+const RECONNECT_DELAY_MS = 1000;
+
+class RedisError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'RedisError';
+  }
+}
+
+function encodeCommand(args) {
+  let out = `*${args.length}\r\n`;
+  for (const arg of args) {
+    const value = String(arg);
+    out += `$${Buffer.byteLength(value)}\r\n${value}\r\n`;
+  }
+  return out;
+}
+
+/**
+ * Parse one reply from buf at offset. Returns { value, offset } or null if
+ * the reply is not complete yet. Error replies are returned as RedisError.
+ */
+function parseReply(buf, offset = 0) {
+  const lineEnd = buf.indexOf('\r\n', offset);
+  if (lineEnd === -1) return null;
+  const type = String.fromCharCode(buf[offset]);
+  const line = buf.toString('utf8', offset + 1, lineEnd);
+  const next = lineEnd + 2;
+
+  switch (type) {
+    case '+':
+      return { value: line, offset: next };
+    case '-':
+      return { value: new RedisError(line), offset: next };
+    case ':':
+      return { value: Number(line), offset: next };
+    case '$': {
+      const length = Number(line);
+      if (length < 0) return { value: null, offset: next };
+      if (buf.length < next + length + 2) return null;
+      return { value: buf.toString('utf8', next, next + length), offset: next + length + 2 };
+    }
+    case '*': {
+      const count = Number(line);
+      if (count < 0) return { value: null, offset: next };
+      const items = [];
+      let position = next;
+      for (let i = 0; i < count; i++) {
+        const item = parseReply(buf, position);
+        if (!item) return null;
+        items.push(item.value);
+        position = item.offset;
+      }
+      return { value: items, offset: position };
+    }
+    default:
+      throw new RedisError(`Unexpected reply type "${type}"`);
+  }
+}
+
+function parseRedisUrl(url) {
+  const parsed = new URL(url);
+  if (!['redis:', 'rediss:'].includes(parsed.protocol)) {
+    throw new Error(`Unsupported Redis URL scheme "${parsed.protocol}" (use redis:// or rediss://)`);
+  }
+  const db = parsed.pathname.replace(/^\//, '');
+  if (db && !/^\d+$/.test(db)) throw new Error(`Invalid Redis database "${db}"`);
+  return {
+    host: parsed.hostname || 'localhost',
+    port: Number(parsed.port) || 6379,
+    tls: parsed.protocol === 'rediss:',
+    username: decodeURIComponent(parsed.username),
+    password: decodeURIComponent(parsed.password),
+    db: db ? Number(db) : 0,
+  };
+}
+
+function createRedisClient(url) {
+  const options = parseRedisUrl(url);
+  let socket = null;
+  let ready = null;        // promise resolved once AUTH/SELECT are done
+  let buffer = Buffer.alloc(0);
+  let pending = [];        // [{ resolve, reject, timer }] in send order
+  let connected = false;
+  let lastAttempt = 0;
+  let lastError = null;
+
+  function failAll(err) {
+    const failed = pending;
+    pending = [];
+    for (const entry of failed) {
+      clearTimeout(entry.timer);
+      entry.reject(err);
+    }
+  }
+
+  function onData(chunk) {
+    buffer = buffer.length ? Buffer.concat([buffer, chunk]) : chunk;
+    let reply;
+    try {
+      while (buffer.length && (reply = parseReply(buffer))) {
+        buffer = buffer.subarray(reply.offset);
+        const entry = pending.shift();
+        if (!entry) continue;
+        clearTimeout(entry.timer);
+        if (reply.value instanceof RedisError) entry.reject(reply.value);
+        else entry.resolve(reply.value);
+      }
+    } catch (err) {
+      socket.destroy(err);
+    }
+  }
+
+  function send(args) {
+    return new Promise((resolve, reject) => {
+      if (!socket) {
+        reject(new RedisError(`Not connected to ${options.host}:${options.port}`));
+        return;
+      }
+      const entry = { resolve, reject };
+      entry.timer = setTimeout(() => {
+        // Replies are matched by order, so a lost reply poisons the connection
+        socket?.destroy(new RedisError(`Command ${args[0]} timed out`));
+      }, COMMAND_TIMEOUT_MS);
+      pending.push(entry);
+      socket.write(encodeCommand(args));
+    });
+  }
+
+  function connect() {
+    lastAttempt = Date.now();
+    buffer = Buffer.alloc(0);
+    const connectOptions = { host: options.host, port: options.port };
+    socket = options.tls
+      ? tls.connect({ ...connectOptions, servername: options.host })
+      : net.connect(connectOptions);
+    socket.setNoDelay(true);
+    socket.on('data', onData);
+    socket.on('error', (err) => {
+      lastError = err.message;
+    });
+    socket.on('close', () => {
+      socket = null;
+      ready = null;
+      connected = false;
+      failAll(new RedisError(`Connection to ${options.host}:${options.port} closed${lastError ? `: ${lastError}` : ''}`));
+    });
+
+    const handshake = [];
+    if (options.password) {
+      handshake.push(options.username ? ['AUTH', options.username, options.password] : ['AUTH', options.password]);
+    }
+    if (options.db) handshake.push(['SELECT', options.db]);
+
+    ready = new Promise((resolve, reject) => {
+      socket.once(options.tls ? 'secureConnect' : 'connect', resolve);
+      socket.once('close', () => reject(new RedisError(`Cannot connect to ${options.host}:${options.port}: ${lastError || 'connection closed'}`)));
+    })
+      .then(() => Promise.all(handshake.map(send)))
+      .then(() => {
+        connected = true;
+        lastError = null;
+      }, (err) => {
+        // A rejected AUTH/SELECT leaves the socket open: drop it to retry later
+        lastError = err.message;
+        socket?.destroy();
+        throw err;
+      });
+    ready.catch(() => {});
+    return ready;
+  }
+
+  return {
+    address: `${options.host}:${options.port}/${options.db}`,
+
+    /** Send one command; resolves with its reply or rejects with RedisError. */
+    async command(...args) {
+      if (!ready) {
+        if (Date.now() - lastAttempt < RECONNECT_DELAY_MS) {
+          throw new RedisError(`Not connected to ${options.host}:${options.port}${lastError ? `: ${lastError}` : ''}`);
+        }
+        connect();
+      }
+      await ready;
+      return send(args);
+    },
+
+    /** For /health: { connected, lastError }. */
+    status() {
+      return { connected, lastError };
+    },
+
+    close() {
+      socket?.end();
+    },
+  };
+}
+
+module.exports = {
+  RedisError,
+  parseReply,
+  parseRedisUrl,
+  createRedisClient,
+};
@@ -0,0 +1,112 @@
+/**
+ * Retry helpers for upstream requests.
+ *
+ * Exponential backoff with full jitter, plus parsing of the wait hints
+ * providers send with 429/503 responses:
+ *   Retry-After                         — seconds or HTTP date (all providers)
+ *   x-ratelimit-reset-{requests,tokens} — "1m30.5s" durations (Groq, OpenAI-style)
+ *   anthropic-ratelimit-*-reset         — RFC 3339 timestamps (Claude)
+ */
+
+// Network-level failures worth another attempt (connection reset, refused, DNS hiccups)
+const RETRYABLE_ERROR_CODES = new Set([
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'ETIMEDOUT',
+  'EPIPE',
+  'EAI_AGAIN',
+  'UND_ERR_SOCKET',
+  'UND_ERR_CONNECT_TIMEOUT',
+]);
+
+/**
+ * True for transient network errors. Aborts (our timeout or a client
+ * disconnect) are never retried.
+ */
+function isRetryableError(error) {
+  if (!error || error.name === 'AbortError') return false;
+  const code = error.code || error.cause?.code;
+  if (code && RETRYABLE_ERROR_CODES.has(code)) return true;
+  return typeof error.message === 'string' && error.message.includes('fetch failed');
+}
+
+/**
+ * Backoff delay for the given attempt (1-based), with full jitter:
+ * random(0, min(maxDelayMs, baseDelayMs * 2^(attempt-1))).
+ */
+function backoffDelay(attempt, policy) {
+  const ceiling = Math.min(policy.maxDelayMs, policy.baseDelayMs * 2 ** (attempt - 1));
+  return Math.round(Math.random() * ceiling);
+}
+
+/**
+ * Parse a Groq/OpenAI-style duration ("6s", "1m30.5s", "120ms", "2h") into ms.
+ */
+function parseDuration(value) {
+  const pattern = /(\d+(?:\.\d+)?)(ms|h|m|s)/g;
+  const units = { ms: 1, s: 1000, m: 60000, h: 3600000 };
+  let total = 0;
+  let matched = false;
+  let match;
+  while ((match = pattern.exec(value)) !== null) {
+    total += parseFloat(match[1]) * units[match[2]];
+    matched = true;
+  }
+  return matched ? Math.round(total) : null;
+}
+
+/**
+ * Work out how long the provider asked us to wait, in ms, or null if it
+ * gave no hint. Rate-limit reset headers are only considered for limits
+ * that are actually exhausted (remaining = 0).
+ */
+function retryDelayFromHeaders(headers, now = Date.now()) {
+  const retryAfter = headers.get('retry-after');
+  if (retryAfter) {
+    const seconds = Number(retryAfter);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+    const date = Date.parse(retryAfter);
+    if (!Number.isNaN(date)) return Math.max(0, date - now);
+  }
+
+  const waits = [];
+  for (const limit of ['requests', 'tokens']) {
+    if (headers.get(`x-ratelimit-remaining-${limit}`) === '0') {
+      const ms = parseDuration(headers.get(`x-ratelimit-reset-${limit}`) || '');
+      if (ms != null) waits.push(ms);
+    }
+  }
+  for (const limit of ['requests', 'tokens', 'input-tokens', 'output-tokens']) {
+    if (headers.get(`anthropic-ratelimit-${limit}-remaining`) === '0') {
+      const reset = Date.parse(headers.get(`anthropic-ratelimit-${limit}-reset`) || '');
+      if (!Number.isNaN(reset)) waits.push(Math.max(0, reset - now));
+    }
+  }
+  return waits.length > 0 ? Math.max(...waits) : null;
+}
+
+/**
+ * Sleep for ms, rejecting early with an AbortError if the signal fires.
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(signal.reason);
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+module.exports = {
+  isRetryableError,
+  backoffDelay,
+  parseDuration,
+  retryDelayFromHeaders,
+  sleep,
+};
@@ -0,0 +1,183 @@
+/**
+ * OpenTelemetry tracing.
+ *
+ * Off unless an OTLP endpoint is configured (OTEL_EXPORTER_OTLP_ENDPOINT or
+ * OTEL_EXPORTER_OTLP_TRACES_ENDPOINT); until then every span below is a
+ * no-op. Spans are exported over OTLP/HTTP, so a local collector
+ * (http://localhost:4318) or any OTLP backend works. The standard OTEL_*
+ * variables apply: OTEL_SERVICE_NAME, OTEL_RESOURCE_ATTRIBUTES,
+ * OTEL_EXPORTER_OTLP_HEADERS, OTEL_TRACES_SAMPLER / OTEL_TRACES_SAMPLER_ARG.
+ *
+ * Trace context travels as W3C `traceparent` / `tracestate`: taken from the
+ * client's request when present, and sent on every upstream attempt — the
+ * Cloudflare Worker continues it with a span of its own.
+ */
+
+const { trace, context, propagation, SpanKind, SpanStatusCode } = require('@opentelemetry/api');
+
+const TRACER_NAME = 'figma-ai-proxy';
+// Pending spans get this long to be exported on shutdown
+const SHUTDOWN_TIMEOUT_MS = 3000;
+const tracer = trace.getTracer(TRACER_NAME);
+
+/**
+ * Install the SDK and OTLP exporter if an endpoint is configured.
+ * Returns { enabled, endpoint, shutdown() }.
+ */
+function initTracing({ version, env = process.env }) {
+  const endpoint = env.OTEL_EXPORTER_OTLP_TRACES_ENDPOINT || env.OTEL_EXPORTER_OTLP_ENDPOINT;
+  if (!endpoint || env.OTEL_SDK_DISABLED === 'true') {
+    return { enabled: false, endpoint: null, shutdown: async () => {} };
+  }
+
+  const { NodeTracerProvider, BatchSpanProcessor } = require('@opentelemetry/sdk-trace-node');
+  const { OTLPTraceExporter } = require('@opentelemetry/exporter-trace-otlp-http');
+  const { resourceFromAttributes, detectResources, envDetector } = require('@opentelemetry/resources');
+
+  // OTEL_SERVICE_NAME / OTEL_RESOURCE_ATTRIBUTES win over the defaults
+  const resource = detectResources({ detectors: [envDetector] }).merge(resourceFromAttributes({
+    'service.name': TRACER_NAME,
+    'service.version': version,
+  }));
+  const provider = new NodeTracerProvider({
+    resource,
+    spanProcessors: [new BatchSpanProcessor(new OTLPTraceExporter())],
+  });
+  // AsyncLocalStorage context and the W3C trace-context propagator
+  provider.register();
+
+  return {
+    enabled: true,
+    endpoint,
+    shutdown: () => Promise.race([
+      provider.shutdown(),
+      new Promise((resolve) => setTimeout(resolve, SHUTDOWN_TIMEOUT_MS).unref()),
+    ]),
+  };
+}
+
+function endWithError(span, error) {
+  span.recordException(error);
+  span.setStatus({ code: SpanStatusCode.ERROR, message: error.message });
+}
+
+/** Start a child span of the active one; the caller ends it. */
+function startSpan(name, attributes) {
+  return tracer.startSpan(name, { attributes });
+}
+
+/**
+ * Run fn(span) inside a new active span and end it when fn settles.
+ * A thrown error is recorded on the span and rethrown.
+ */
+async function withSpan(name, attributes, fn) {
+  return tracer.startActiveSpan(name, { attributes }, async (span) => {
+    try {
+      return await fn(span);
+    } catch (error) {
+      endWithError(span, error);
+      throw error;
+    } finally {
+      span.end();
+    }
+  });
+}
+
+/**
+ * Express middleware: one server span per proxied request, continuing the
+ * client's traceparent if it sent one. It ends when the response does
+ * (streams included), with the final status and provider; 5xx replies and
+ * disconnects mark it as an error. Request logs gain the trace ID.
+ */
+function traceRequest(route) {
+  return (req, res, next) => {
+    const parent = propagation.extract(context.active(), req.headers);
+    const span = tracer.startSpan(`${req.method} ${route}`, {
+      kind: SpanKind.SERVER,
+      attributes: {
+        'http.request.method': req.method,
+        'http.route': route,
+        'url.path': req.path,
+        'client.address': req.ip,
+        'figma_proxy.request_id': req.id,
+      },
+    }, parent);
+
+    if (span.isRecording()) req.log = req.log.child({ traceId: span.spanContext().traceId });
+
+    let done = false;
+    const finish = () => {
+      if (done) return;
+      done = true;
+      const status = res.headersSent ? res.statusCode : 499;
+      span.setAttributes({
+        'http.response.status_code': status,
+        ...(res.locals.provider && { 'figma_proxy.provider': res.locals.provider }),
+        ...(res.locals.upstreamStatus && { 'figma_proxy.upstream_status': res.locals.upstreamStatus }),
+        ...(res.locals.errorCategory && { 'error.type': res.locals.errorCategory }),
+      });
+      if (status >= 500 || status === 499) span.setStatus({ code: SpanStatusCode.ERROR });
+      span.end();
+    };
+    res.on('finish', finish);
+    res.on('close', finish);
+
+    context.with(trace.setSpan(parent, span), next);
+  };
+}
+
+/**
+ * Client span for one upstream attempt. attributes: provider, via, attempt.
+ * The URL is recorded without its query string (Gemini keys travel there).
+ */
+function upstreamSpan(url, method, { provider, via, attempt }) {
+  const target = new URL(url);
+  return tracer.startSpan(`${method} ${target.hostname}`, {
+    kind: SpanKind.CLIENT,
+    attributes: {
+      'http.request.method': method,
+      'server.address': target.hostname,
+      'url.full': target.origin + target.pathname,
+      'figma_proxy.provider': provider,
+      'figma_proxy.via': via,
+      'http.request.resend_count': attempt - 1,
+    },
+  });
+}
+
+/**
+ * Headers with `traceparent` (and `tracestate`) for `span`, so the next hop
+ * continues the trace as its child. Returns a copy.
+ */
+function withTraceHeaders(headers, span) {
+  const out = { ...headers };
+  propagation.inject(trace.setSpan(context.active(), span), out);
+  return out;
+}
+
+/** Record the upstream outcome on an attempt span and end it. */
+function endUpstreamSpan(span, response, error) {
+  if (error) {
+    endWithError(span, error);
+  } else {
+    span.setAttribute('http.response.status_code', response.status);
+    if (response.status >= 400) span.setStatus({ code: SpanStatusCode.ERROR });
+  }
+  span.end();
+}
+
+/** Add an event to the active span (e.g. a retry or a fallback hop). */
+function addEvent(name, attributes) {
+  trace.getActiveSpan()?.addEvent(name, attributes);
+}
+
+module.exports = {
+  initTracing,
+  startSpan,
+  withSpan,
+  traceRequest,
+  upstreamSpan,
+  withTraceHeaders,
+  endUpstreamSpan,
+  addEvent,
+};
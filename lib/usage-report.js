@@ -0,0 +1,119 @@
+/**
+ * Usage and cost aggregation for GET /api/usage.
+ *
+ * Keeps one row per (day, client, provider, model) with request, error and
+ * token counts plus an estimated cost. Rows are persisted to a JSON file
+ * (debounced) and pruned after `retentionDays`. Only counts are stored —
+ * never prompts, replies or raw keys (clients are vault names or key hashes).
+ */
+
+const { loadJson, createFlusher } = require('./json-store');
+
+const GROUP_FIELDS = ['day', 'client', 'provider', 'model'];
+const CSV_COLUMNS = ['day', 'client', 'provider', 'model', 'requests', 'errors', 'inputTokens', 'outputTokens', 'cost', 'unpricedRequests'];
+
+function createUsageReport({ file, retentionDays = 90 }) {
+  const rows = loadJson(file, 'USAGE')?.rows || {};
+  const flusher = createFlusher(file, () => ({ updatedAt: new Date().toISOString(), rows }), 'USAGE');
+
+  let prunedOn = null;
+
+  // Drop rows older than the retention window, at most once per day
+  function prune(day) {
+    if (day === prunedOn) return;
+    prunedOn = day;
+    const cutoff = new Date(Date.now() - retentionDays * 86400000).toISOString().slice(0, 10);
+    for (const key of Object.keys(rows)) {
+      if (rows[key].day < cutoff) delete rows[key];
+    }
+  }
+  prune(new Date().toISOString().slice(0, 10));
+
+  return {
+    /**
+     * Record one completed upstream call.
+     * usage may be null (no usage block); cost is null for unpriced models.
+     */
+    record({ client, provider, model, usage, cost, error }) {
+      const day = new Date().toISOString().slice(0, 10);
+      const key = [day, client, provider, model].join('|');
+      const row = rows[key] || (rows[key] = {
+        day, client, provider, model,
+        requests: 0, errors: 0, inputTokens: 0, outputTokens: 0, cost: 0, unpricedRequests: 0,
+      });
+
+      row.requests += 1;
+      if (error) row.errors += 1;
+      if (usage) {
+        row.inputTokens += usage.inputTokens || 0;
+        row.outputTokens += usage.outputTokens || 0;
+      }
+      if (cost != null) row.cost += cost;
+      else if (usage) row.unpricedRequests += 1;
+
+      prune(day);
+      flusher.schedule();
+    },
+
+    /**
+     * Aggregate rows. filters: { from?, to?, client?, provider?, model? }
+     * (from/to are inclusive YYYY-MM-DD). groupBy: subset of GROUP_FIELDS.
+     * Returns { rows, totals }.
+     */
+    query(filters = {}, groupBy = GROUP_FIELDS) {
+      const groups = new Map();
+      const totals = { requests: 0, errors: 0, inputTokens: 0, outputTokens: 0, cost: 0, unpricedRequests: 0 };
+
+      for (const row of Object.values(rows)) {
+        if (filters.from && row.day < filters.from) continue;
+        if (filters.to && row.day > filters.to) continue;
+        if (filters.client && row.client !== filters.client) continue;
+        if (filters.provider && row.provider !== filters.provider) continue;
+        if (filters.model && row.model !== filters.model) continue;
+
+        const key = groupBy.map((field) => row[field]).join('|');
+        let group = groups.get(key);
+        if (!group) {
+          group = {};
+          for (const field of groupBy) group[field] = row[field];
+          Object.assign(group, { requests: 0, errors: 0, inputTokens: 0, outputTokens: 0, cost: 0, unpricedRequests: 0 });
+          groups.set(key, group);
+        }
+        for (const metric of Object.keys(totals)) {
+          group[metric] += row[metric];
+          totals[metric] += row[metric];
+        }
+      }
+
+      const sorted = [...groups.values()].sort((a, b) =>
+        groupBy.map((f) => String(a[f]).localeCompare(String(b[f]))).find((c) => c !== 0) || 0
+      );
+      for (const group of sorted) group.cost = Number(group.cost.toFixed(6));
+      totals.cost = Number(totals.cost.toFixed(6));
+      return { rows: sorted, totals };
+    },
+
+    flush: flusher.flush,
+  };
+}
+
+/**
+ * Render report rows as CSV (only the columns present in the rows).
+ * Text cells a spreadsheet would run as a formula are prefixed with a
+ * quote — model and client names come from requests and the vault.
+ */
+function toCSV(rows) {
+  const columns = CSV_COLUMNS.filter((c) => rows.length === 0 || c in rows[0]);
+  const escape = (value) => {
+    let text = String(value ?? '');
+    if (typeof value === 'string' && /^[=+\-@]/.test(text)) text = `'${text}`;
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return [columns.join(','), ...rows.map((row) => columns.map((c) => escape(row[c])).join(','))].join('\n') + '\n';
+}
+
+module.exports = {
+  GROUP_FIELDS,
+  createUsageReport,
+  toCSV,
+};
@@ -0,0 +1,131 @@
+/**
+ * Token usage extraction from provider responses.
+ *
+ * Recognized usage blocks:
+ *   Claude     — usage: { input_tokens, output_tokens }
+ *   OpenAI-style (Groq, Mistral, OpenAI, DeepSeek, …, /v1) — usage: { prompt_tokens, completion_tokens }
+ *   Gemini     — usageMetadata: { promptTokenCount, candidatesTokenCount }
+ *   Yandex     — result.usage: { inputTextTokens, completionTokens } (strings)
+ *   Cohere     — meta.billed_units: { input_tokens, output_tokens }
+ *   Cohere v2  — usage.billed_units: { input_tokens, output_tokens }
+ *                (streamed in the "message-end" event's delta)
+ *
+ * Only token counts are read — prompt and completion text are never kept.
+ */
+
+/**
+ * Extract { inputTokens, outputTokens } from a response body (or a single
+ * stream event). Returns null if the body has no usage block.
+ */
+function extractUsage(data) {
+  if (!data || typeof data !== 'object') return null;
+
+  const pair = (input, output) => {
+    if (input == null && output == null) return null;
+    return { inputTokens: Number(input) || 0, outputTokens: Number(output) || 0 };
+  };
+
+  if (data.usageMetadata) {
+    return pair(data.usageMetadata.promptTokenCount, data.usageMetadata.candidatesTokenCount);
+  }
+  if (data.result?.usage) {
+    return pair(data.result.usage.inputTextTokens, data.result.usage.completionTokens);
+  }
+  if (data.meta?.billed_units || data.meta?.tokens) {
+    const units = data.meta.billed_units || data.meta.tokens;
+    return pair(units.input_tokens, units.output_tokens);
+  }
+  // Cohere v2 stream: the final "message-end" event carries usage in its delta
+  if (data.type === 'message-end' && data.delta?.usage) {
+    return extractUsage(data.delta);
+  }
+  // Claude stream: message_start carries input tokens inside "message"
+  if (data.type === 'message_start' && data.message?.usage) {
+    return pair(data.message.usage.input_tokens, data.message.usage.output_tokens);
+  }
+  if (data.usage) {
+    const u = data.usage;
+    if (u.input_tokens != null || u.output_tokens != null) return pair(u.input_tokens, u.output_tokens);
+    if (u.prompt_tokens != null || u.completion_tokens != null) return pair(u.prompt_tokens, u.completion_tokens);
+    if (u.billed_units || u.tokens) {
+      const units = u.billed_units || u.tokens;
+      return pair(units.input_tokens, units.output_tokens);
+    }
+  }
+  return null;
+}
+
+/**
+ * Create a scanner for streamed bodies (SSE "data:" lines or NDJSON).
+ * Feed it raw chunks with write(); usage() returns the accumulated counts.
+ *
+ * Providers report usage differently when streaming: Claude splits input
+ * (message_start) and output (message_delta), Gemini and Yandex repeat
+ * cumulative totals, OpenAI-style providers send one final usage chunk.
+ * Taking the maximum of each field seen covers all of them.
+ */
+function createUsageScanner() {
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let inputTokens = null;
+  let outputTokens = null;
+
+  function scanLine(line) {
+    const trimmed = line.trim();
+    const json = trimmed.startsWith('data:') ? trimmed.slice(5).trim() : trimmed;
+    if (!json.startsWith('{')) return;
+    let usage;
+    try {
+      usage = extractUsage(JSON.parse(json));
+    } catch {
+      return;
+    }
+    if (!usage) return;
+    inputTokens = Math.max(inputTokens ?? 0, usage.inputTokens);
+    outputTokens = Math.max(outputTokens ?? 0, usage.outputTokens);
+  }
+
+  return {
+    write(chunk) {
+      buffer += typeof chunk === 'string' ? chunk : decoder.decode(chunk, { stream: true });
+      let newline;
+      while ((newline = buffer.indexOf('\n')) !== -1) {
+        scanLine(buffer.slice(0, newline));
+        buffer = buffer.slice(newline + 1);
+      }
+    },
+
+    usage() {
+      if (buffer) {
+        scanLine(buffer);
+        buffer = '';
+      }
+      if (inputTokens == null && outputTokens == null) return null;
+      return { inputTokens: inputTokens ?? 0, outputTokens: outputTokens ?? 0 };
+    },
+  };
+}
+
+/**
+ * Best-effort model name for a native request, for usage reports:
+ * the model echoed in the reply, else the request body's model / Yandex
+ * modelUri ("gpt://folder/yandexgpt-lite/latest" → "yandexgpt-lite"),
+ * else Gemini's model path segment ("/models/gemini-2.0-flash:generateContent").
+ */
+function extractModel(body, url, data) {
+  if (typeof data?.model === 'string') return data.model;
+  if (typeof data?.modelVersion === 'string') return data.modelVersion;
+  if (typeof body?.model === 'string') return body.model;
+  if (typeof body?.modelUri === 'string') {
+    return body.modelUri.replace(/^[a-z]+:\/\/[^/]+\//, '').split('/')[0] || body.modelUri;
+  }
+  const match = /\/models\/([^/:?]+)/.exec(url || '');
+  if (match) return decodeURIComponent(match[1]);
+  return 'unknown';
+}
+
+module.exports = {
+  extractUsage,
+  extractModel,
+  createUsageScanner,
+};
@@ -0,0 +1,183 @@
+/**
+ * Encrypted API key vault.
+ *
+ * Holds real provider credentials and the client tokens the proxy issues
+ * to plugin users, so users never see raw provider keys.
+ *
+ * File format (JSON): { version, salt, iv, tag, data } — data is the
+ * AES-256-GCM encrypted vault, keyed by scrypt(VAULT_KEY, salt).
+ *
+ * Vault contents:
+ *   credentials: { [providerKey]: secret }
+ *   clients:     { [sha256(token)]: { name, providers: ['*'] | [...], createdAt } }
+ *
+ * Client tokens are only stored as hashes; the raw token is shown once
+ * when it is issued.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const TOKEN_PREFIX = 'fap_';
+const FILE_VERSION = 1;
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function isClientToken(value) {
+  return typeof value === 'string' && value.startsWith(TOKEN_PREFIX);
+}
+
+function deriveKey(passphrase, salt) {
+  return crypto.scryptSync(passphrase, salt, 32);
+}
+
+function encrypt(contents, passphrase) {
+  const salt = crypto.randomBytes(16);
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', deriveKey(passphrase, salt), iv);
+  const data = Buffer.concat([cipher.update(JSON.stringify(contents), 'utf8'), cipher.final()]);
+  return {
+    version: FILE_VERSION,
+    salt: salt.toString('base64'),
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64'),
+  };
+}
+
+function decrypt(file, passphrase) {
+  if (file.version !== FILE_VERSION) {
+    throw new Error(`Unsupported vault file version: ${file.version}`);
+  }
+  const decipher = crypto.createDecipheriv(
+    'aes-256-gcm',
+    deriveKey(passphrase, Buffer.from(file.salt, 'base64')),
+    Buffer.from(file.iv, 'base64')
+  );
+  decipher.setAuthTag(Buffer.from(file.tag, 'base64'));
+  try {
+    const data = Buffer.concat([decipher.update(Buffer.from(file.data, 'base64')), decipher.final()]);
+    return JSON.parse(data.toString('utf8'));
+  } catch {
+    throw new Error('Cannot decrypt vault — wrong VAULT_KEY or corrupted file');
+  }
+}
+
+/**
+ * Open a vault file. The file is re-read when its mtime changes, so
+ * changes made with scripts/vault.js apply without a restart.
+ */
+function createVault({ file, passphrase }) {
+  if (!passphrase) throw new Error('VAULT_KEY is required to open the vault');
+
+  let contents = { credentials: {}, clients: {} };
+  let loadedMtime = 0;
+
+  function load() {
+    if (!fs.existsSync(file)) {
+      contents = { credentials: {}, clients: {} };
+      loadedMtime = 0;
+      return;
+    }
+    const mtime = fs.statSync(file).mtimeMs;
+    if (mtime === loadedMtime) return;
+    contents = decrypt(JSON.parse(fs.readFileSync(file, 'utf8')), passphrase);
+    contents.credentials = contents.credentials || {};
+    contents.clients = contents.clients || {};
+    loadedMtime = mtime;
+  }
+
+  function save() {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tmp = `${file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(encrypt(contents, passphrase)), { mode: 0o600 });
+    fs.renameSync(tmp, file);
+    loadedMtime = fs.statSync(file).mtimeMs;
+  }
+
+  load();
+
+  return {
+    file,
+
+    exists() {
+      return fs.existsSync(file);
+    },
+
+    /** Look up the client for a raw token, or null. */
+    findClient(token) {
+      if (!isClientToken(token)) return null;
+      load();
+      const client = contents.clients[hashToken(token)];
+      return client ? { ...client, id: hashToken(token).slice(0, 12) } : null;
+    },
+
+    /** Real credential for a provider, or null. */
+    getCredential(providerKey) {
+      load();
+      return contents.credentials[providerKey] || null;
+    },
+
+    setCredential(providerKey, secret) {
+      load();
+      contents.credentials[providerKey] = secret;
+      save();
+    },
+
+    removeCredential(providerKey) {
+      load();
+      const existed = providerKey in contents.credentials;
+      delete contents.credentials[providerKey];
+      save();
+      return existed;
+    },
+
+    /** Issue a new client token. Returns the raw token (shown once). */
+    addClient(name, providers = ['*']) {
+      load();
+      if (Object.values(contents.clients).some((c) => c.name === name)) {
+        throw new Error(`Client "${name}" already exists`);
+      }
+      const token = TOKEN_PREFIX + crypto.randomBytes(24).toString('base64url');
+      contents.clients[hashToken(token)] = { name, providers, createdAt: new Date().toISOString() };
+      save();
+      return token;
+    },
+
+    revokeClient(name) {
+      load();
+      const hash = Object.keys(contents.clients).find((h) => contents.clients[h].name === name);
+      if (!hash) return false;
+      delete contents.clients[hash];
+      save();
+      return true;
+    },
+
+    /** Summary without secrets: client names/providers and which providers have keys. */
+    list() {
+      load();
+      return {
+        clients: Object.values(contents.clients),
+        credentials: Object.keys(contents.credentials),
+      };
+    },
+  };
+}
+
+/**
+ * True if the client token may be used for this provider.
+ */
+function clientAllows(client, providerKey) {
+  return client.providers.includes('*') || client.providers.includes(providerKey);
+}
+
+module.exports = {
+  TOKEN_PREFIX,
+  createVault,
+  clientAllows,
+  isClientToken,
+  hashToken,
+};
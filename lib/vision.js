@@ -0,0 +1,167 @@
+/**
+ * Image preparation for POST /v1/vision.
+ *
+ * Takes images as sent by the plugin (base64 or data: URLs of PNG, JPEG,
+ * WebP, GIF or SVG exports), fits them to the target dialect's limits and
+ * builds an OpenAI chat-completions body with image_url parts, which the
+ * /v1/chat/completions pipeline then translates per provider (Claude image
+ * blocks, Gemini inline_data, OpenAI-style image_url).
+ *
+ * Resizing, re-encoding and SVG rasterization use the optional `sharp`
+ * package. Without it, images that already fit are passed through and
+ * everything else is rejected with a hint.
+ */
+
+const { TranslationError } = require('./openai-compat');
+
+let sharp;
+try {
+  sharp = require('sharp');
+} catch {
+  sharp = null;
+}
+
+const MB = 1024 * 1024;
+
+/**
+ * Per-dialect limits: longest edge in pixels, bytes per image (decoded),
+ * images per request, and the formats the provider accepts.
+ */
+const IMAGE_LIMITS = {
+  anthropic: { maxEdge: 1568, maxBytes: 3.75 * MB, maxImages: 20, formats: ['image/png', 'image/jpeg', 'image/webp', 'image/gif'] },
+  gemini: { maxEdge: 3072, maxBytes: 7 * MB, maxImages: 16, formats: ['image/png', 'image/jpeg', 'image/webp'] },
+  openai: { maxEdge: 2048, maxBytes: 3 * MB, maxImages: 5, formats: ['image/png', 'image/jpeg', 'image/webp', 'image/gif'] },
+};
+
+const JPEG_QUALITIES = [85, 70, 55];
+
+/**
+ * Detect the image type from magic bytes (the declared type is only a hint).
+ */
+function sniffMediaType(buffer) {
+  if (buffer.length >= 8 && buffer.readUInt32BE(0) === 0x89504e47) return 'image/png';
+  if (buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return 'image/jpeg';
+  if (buffer.length >= 12 && buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') return 'image/webp';
+  if (buffer.length >= 6 && buffer.toString('ascii', 0, 3) === 'GIF') return 'image/gif';
+  const head = buffer.toString('utf8', 0, Math.min(buffer.length, 1024)).trimStart();
+  if ((head.startsWith('<?xml') || head.startsWith('<svg')) && head.includes('<svg')) return 'image/svg+xml';
+  return null;
+}
+
+/**
+ * Decode one input image: a data: URL, bare base64, or { data, mediaType }.
+ */
+function decodeImage(input, index) {
+  const data = typeof input === 'string' ? input : input?.data;
+  if (typeof data !== 'string' || !data) {
+    throw new TranslationError(`images[${index}] is empty`, 'Send a data: URL, a base64 string or { data, mediaType }');
+  }
+
+  const match = /^data:[^;,]*(;base64)?,/.exec(data);
+  const payload = match ? data.slice(match[0].length) : data;
+  const buffer = match && !match[1]
+    ? Buffer.from(decodeURIComponent(payload), 'utf8') // e.g. data:image/svg+xml,<svg…>
+    : Buffer.from(payload, 'base64');
+
+  const mediaType = sniffMediaType(buffer);
+  if (!mediaType) {
+    throw new TranslationError(`images[${index}] is not a supported image`, 'Supported formats: PNG, JPEG, WebP, GIF, SVG');
+  }
+  return { buffer, mediaType };
+}
+
+/**
+ * Fit one image to the limits: rasterize SVG, downscale to maxEdge, and
+ * re-encode (PNG, then JPEG at falling quality) until it fits maxBytes.
+ */
+async function fitImage({ buffer, mediaType }, limits, index, resize) {
+  const needsRaster = !limits.formats.includes(mediaType);
+  if (!needsRaster && buffer.length <= limits.maxBytes && (!resize || !sharp)) {
+    return { buffer, mediaType };
+  }
+
+  if (!sharp) {
+    const reason = needsRaster ? `${mediaType} must be converted` : `it is ${(buffer.length / MB).toFixed(1)} MB (limit ${(limits.maxBytes / MB).toFixed(1)} MB)`;
+    throw new TranslationError(`images[${index}] cannot be sent as-is: ${reason}`, 'Install the optional "sharp" package on the proxy, or export a smaller PNG/JPEG');
+  }
+  if (!resize && !needsRaster && buffer.length > limits.maxBytes) {
+    throw new TranslationError(`images[${index}] exceeds ${(limits.maxBytes / MB).toFixed(1)} MB`, 'Remove "resize": false to let the proxy downscale it');
+  }
+
+  const image = sharp(buffer, { density: mediaType === 'image/svg+xml' ? 144 : undefined, animated: false });
+  const meta = await image.metadata();
+  const longEdge = Math.max(meta.width || 0, meta.height || 0);
+
+  // Already within limits and in an accepted format — keep the original bytes
+  if (!needsRaster && buffer.length <= limits.maxBytes && longEdge <= limits.maxEdge) {
+    return { buffer, mediaType };
+  }
+
+  const pipeline = image.clone().resize({ width: limits.maxEdge, height: limits.maxEdge, fit: 'inside', withoutEnlargement: true });
+
+  const png = await pipeline.clone().png({ compressionLevel: 9 }).toBuffer();
+  if (png.length <= limits.maxBytes) return { buffer: png, mediaType: 'image/png' };
+
+  for (const quality of JPEG_QUALITIES) {
+    const jpeg = await pipeline.clone().flatten({ background: '#ffffff' }).jpeg({ quality, mozjpeg: true }).toBuffer();
+    if (jpeg.length <= limits.maxBytes) return { buffer: jpeg, mediaType: 'image/jpeg' };
+  }
+  throw new TranslationError(`images[${index}] is still larger than ${(limits.maxBytes / MB).toFixed(1)} MB after compression`, 'Export the frame at a lower scale');
+}
+
+/**
+ * Build an OpenAI chat-completions body from a vision request:
+ *   { model, prompt, images: [...], system?, max_tokens?, temperature?, stream?, resize? }
+ * Returns { body, images: [{ mediaType, bytes }] } for logging.
+ */
+async function buildVisionRequest(request, dialect) {
+  const limits = IMAGE_LIMITS[dialect];
+  if (!limits) {
+    throw new TranslationError(`The ${dialect} API does not accept images`, 'Use a Claude, Gemini or OpenAI-compatible vision model');
+  }
+  if (typeof request.prompt !== 'string' || !request.prompt.trim()) {
+    throw new TranslationError('"prompt" is required', 'Describe what the model should do with the images');
+  }
+  const inputs = Array.isArray(request.images) ? request.images : [request.image].filter(Boolean);
+  if (inputs.length === 0) {
+    throw new TranslationError('"images" is required', 'Send one or more images as data: URLs or base64 strings');
+  }
+  if (inputs.length > limits.maxImages) {
+    throw new TranslationError(`Too many images (${inputs.length})`, `This provider accepts up to ${limits.maxImages} images per request`);
+  }
+
+  const resize = request.resize !== false;
+  const prepared = [];
+  for (let i = 0; i < inputs.length; i++) {
+    prepared.push(await fitImage(decodeImage(inputs[i], i), limits, i, resize));
+  }
+
+  const messages = [];
+  if (request.system) messages.push({ role: 'system', content: String(request.system) });
+  messages.push({
+    role: 'user',
+    content: [
+      { type: 'text', text: request.prompt },
+      ...prepared.map((img) => ({
+        type: 'image_url',
+        image_url: { url: `data:${img.mediaType};base64,${img.buffer.toString('base64')}` },
+      })),
+    ],
+  });
+
+  const body = { model: request.model, messages };
+  for (const field of ['max_tokens', 'temperature', 'top_p', 'stop', 'stream']) {
+    if (request[field] !== undefined) body[field] = request[field];
+  }
+
+  return {
+    body,
+    images: prepared.map((img) => ({ mediaType: img.mediaType, bytes: img.buffer.length })),
+  };
+}
+
+module.exports = {
+  IMAGE_LIMITS,
+  buildVisionRequest,
+  hasImageProcessing: () => Boolean(sharp),
+};
@@ -0,0 +1,145 @@
+/**
+ * Yandex Cloud IAM tokens minted from a service-account authorized key.
+ *
+ * The authorized key is the JSON file created with
+ * `yc iam key create --service-account-name NAME -o key.json`:
+ *   { id, service_account_id, private_key, ... }
+ *
+ * A short-lived PS256 JWT signed with the private key is exchanged for an
+ * IAM token at the IAM API. Tokens live up to 12 hours; the cached token is
+ * refreshed in the background once it is older than `refreshAfterMs`
+ * (default 1 hour, as Yandex recommends) and synchronously when it is
+ * about to expire. Concurrent callers share one exchange.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const { logger } = require('./logger');
+
+const IAM_TOKEN_URL = 'https://iam.api.cloud.yandex.net/iam/v1/tokens';
+const JWT_LIFETIME_S = 3600;
+// Tokens closer than this to expiry are not handed out
+const EXPIRY_MARGIN_MS = 5 * 60 * 1000;
+
+function base64url(value) {
+  return Buffer.from(typeof value === 'string' ? value : JSON.stringify(value)).toString('base64url');
+}
+
+/**
+ * Read and check an authorized key file. Throws with a readable message.
+ */
+function loadAuthorizedKey(file) {
+  let key;
+  try {
+    key = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    throw new Error(`Cannot read service account key ${file}: ${err.message}`);
+  }
+  const missing = ['id', 'service_account_id', 'private_key'].filter((field) => typeof key[field] !== 'string' || !key[field]);
+  if (missing.length > 0) {
+    throw new Error(`${file} is not a service account authorized key (missing ${missing.join(', ')})`);
+  }
+
+  // Keys exported by yc start with a "PLEASE DO NOT REMOVE THIS LINE!" banner
+  const pemStart = key.private_key.indexOf('-----BEGIN');
+  try {
+    key.privateKey = crypto.createPrivateKey(pemStart > 0 ? key.private_key.slice(pemStart) : key.private_key);
+  } catch (err) {
+    throw new Error(`${file}: invalid private_key (${err.message})`);
+  }
+  return key;
+}
+
+/**
+ * Build the signed JWT for the token exchange.
+ */
+function createJwt(key, now = Date.now()) {
+  const iat = Math.floor(now / 1000);
+  const header = base64url({ typ: 'JWT', alg: 'PS256', kid: key.id });
+  const payload = base64url({ iss: key.service_account_id, aud: IAM_TOKEN_URL, iat, exp: iat + JWT_LIFETIME_S });
+  const signature = crypto.sign('sha256', Buffer.from(`${header}.${payload}`), {
+    key: key.privateKey,
+    padding: crypto.constants.RSA_PKCS1_PSS_PADDING,
+    saltLength: crypto.constants.RSA_PSS_SALTLEN_DIGEST,
+  });
+  return `${header}.${payload}.${signature.toString('base64url')}`;
+}
+
+/**
+ * Create a token source. fetch(url, options) performs the exchange (so the
+ * caller can route it through the provider's proxy).
+ */
+function createIamTokenSource({ key, fetch, refreshAfterMs = 60 * 60 * 1000 }) {
+  let token = null;      // { value, expiresAt, issuedAt }
+  let pending = null;
+  let lastError = null;
+
+  async function exchange() {
+    const response = await fetch(IAM_TOKEN_URL, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ jwt: createJwt(key) }),
+      signal: AbortSignal.timeout(15000),
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok || !data.iamToken) {
+      throw new Error(`IAM token exchange failed: HTTP ${response.status}${data.message ? ` ${data.message}` : ''}`);
+    }
+    return {
+      value: data.iamToken,
+      expiresAt: Date.parse(data.expiresAt) || Date.now() + 12 * 60 * 60 * 1000,
+      issuedAt: Date.now(),
+    };
+  }
+
+  /** Start an exchange, or join the one in flight. */
+  function refresh() {
+    if (!pending) {
+      pending = exchange()
+        .then((next) => {
+          token = next;
+          lastError = null;
+          logger.info(`Token refreshed, expires ${new Date(next.expiresAt).toISOString()}`, { component: 'yandex-iam' });
+          return next;
+        })
+        .catch((err) => {
+          lastError = err.message;
+          logger.error(err.message, { component: 'yandex-iam' });
+          throw err;
+        })
+        .finally(() => {
+          pending = null;
+        });
+    }
+    return pending;
+  }
+
+  return {
+    serviceAccountId: key.service_account_id,
+
+    /** A valid IAM token (refreshed first if missing or about to expire). */
+    async getToken() {
+      const now = Date.now();
+      if (!token || token.expiresAt - now < EXPIRY_MARGIN_MS) {
+        return (await refresh()).value;
+      }
+      if (now - token.issuedAt >= refreshAfterMs) refresh().catch(() => {});
+      return token.value;
+    },
+
+    /** For /health: { expiresAt, lastError } without the token itself. */
+    status() {
+      return {
+        expiresAt: token ? new Date(token.expiresAt).toISOString() : null,
+        lastError,
+      };
+    },
+  };
+}
+
+module.exports = {
+  IAM_TOKEN_URL,
+  loadAuthorizedKey,
+  createJwt,
+  createIamTokenSource,
+};
@@ -0,0 +1,328 @@
+// =====================================================================
+// Admin dashboard — reads the server-sent events stream at
+// /api/admin/events. EventSource cannot send an Authorization header, so
+// the stream is read with fetch() and parsed here.
+// =====================================================================
+
+const TOKEN_KEY = 'figma-ai-proxy-admin-token';
+const MAX_EVENTS = 100;
+const RECONNECT_DELAY_MS = 3000;
+
+// =====================================================================
+// DOM elements
+// =====================================================================
+const statusEl = document.getElementById('status');
+const serverInfoEl = document.getElementById('serverInfo');
+const loginForm = document.getElementById('loginForm');
+const loginHint = document.getElementById('loginHint');
+const tokenInput = document.getElementById('token');
+const disconnectBtn = document.getElementById('disconnectBtn');
+const dashboardEl = document.getElementById('dashboard');
+const cardsEl = document.getElementById('cards');
+const trafficTitleEl = document.getElementById('trafficTitle');
+const chartEl = document.getElementById('chart');
+const providersEl = document.getElementById('providers');
+const clientsEl = document.getElementById('clients');
+const clientsWindowEl = document.getElementById('clientsWindow');
+const eventsEl = document.getElementById('events');
+const configEl = document.getElementById('config');
+
+let controller = null;
+let reconnectTimer = null;
+let events = [];
+
+// =====================================================================
+// Helpers
+// =====================================================================
+function el(tag, text, className) {
+    const node = document.createElement(tag);
+    if (text != null) node.textContent = text;
+    if (className) node.className = className;
+    return node;
+}
+
+function row(cells) {
+    const tr = document.createElement('tr');
+    for (const cell of cells) {
+        tr.append(cell instanceof Node ? wrapCell(cell) : el('td', cell ?? '—'));
+    }
+    return tr;
+}
+
+function wrapCell(node) {
+    const td = document.createElement('td');
+    td.append(node);
+    return td;
+}
+
+function setStatus(text, kind) {
+    statusEl.textContent = text;
+    statusEl.className = `status ${kind}`;
+}
+
+function formatUptime(seconds) {
+    const d = Math.floor(seconds / 86400);
+    const h = Math.floor((seconds % 86400) / 3600);
+    const m = Math.floor((seconds % 3600) / 60);
+    return d > 0 ? `${d}d ${h}h` : h > 0 ? `${h}h ${m}m` : `${m}m`;
+}
+
+function formatPercent(rate) {
+    return `${(rate * 100).toFixed(rate > 0 && rate < 0.1 ? 1 : 0)}%`;
+}
+
+function formatCounters(counters, limits) {
+    if (!counters) return '—';
+    return ['requests', 'inputTokens', 'outputTokens']
+        .filter((metric) => counters[metric] > 0 || limits?.[metric])
+        .map((metric) => `${metric}: ${counters[metric]}${limits?.[metric] ? ` / ${limits[metric]}` : ''}`)
+        .join(', ') || '0';
+}
+
+// =====================================================================
+// Rendering
+// =====================================================================
+function renderCards(snapshot) {
+    const traffic = Object.values(snapshot.providers).map((p) => p.traffic).filter(Boolean);
+    const requests = traffic.reduce((sum, t) => sum + t.requestsPerMinute, 0);
+    const errors = traffic.reduce((sum, t) => sum + t.errors, 0);
+    const rejected = traffic.reduce((sum, t) => sum + Object.values(t.rejections).reduce((a, b) => a + b, 0), 0);
+    const down = Object.values(snapshot.providers).filter((p) => p.health?.status === 'down').length;
+
+    cardsEl.replaceChildren(...[
+        ['Requests / min', requests],
+        ['Errors / min', errors],
+        ['Rejected / min', rejected],
+        ['Providers down', down],
+        ['Clients', Object.keys(snapshot.clients).length],
+        ['Uptime', formatUptime(snapshot.server.uptime)],
+    ].map(([label, value]) => {
+        const card = el('div', null, 'card');
+        card.append(el('div', label, 'label'), el('div', String(value), 'value'));
+        return card;
+    }));
+}
+
+function renderChart(traffic) {
+    trafficTitleEl.textContent = `Traffic (last ${Math.round(traffic.windowS / 60)} min, ${traffic.seriesStepS}s steps)`;
+    const max = Math.max(1, ...traffic.series.map((s) => s.requests));
+    chartEl.replaceChildren(...traffic.series.map((step) => {
+        const bar = el('div', null, 'bar');
+        bar.title = `${step.requests} requests, ${step.errors} errors, ${step.rejections} rejected`;
+        const ok = step.requests - step.errors - step.rejections;
+        for (const [count, className] of [[ok, 'ok'], [step.errors, 'errors'], [step.rejections, 'rejected']]) {
+            if (count <= 0) continue;
+            const part = el('div', null, className);
+            part.style.height = `${(count / max) * 74}px`;
+            bar.append(part);
+        }
+        return bar;
+    }));
+}
+
+function healthPill(provider) {
+    const health = provider.health;
+    if (!health) return el('span', 'not probed', 'pill');
+    const pill = el('span', health.status, `pill ${health.status === 'up' ? 'up' : health.status === 'down' ? 'down' : ''}`);
+    if (health.lastError) pill.title = health.lastError;
+    return pill;
+}
+
+function renderProviders(providers) {
+    providersEl.replaceChildren(...Object.entries(providers).map(([key, p]) => {
+        const t = p.traffic;
+        const rejections = t ? Object.entries(t.rejections).map(([reason, n]) => `${reason}: ${n}`).join(', ') : '';
+        const errorRate = t ? el('span', formatPercent(t.errorRate), `pill ${t.errorRate >= 0.1 ? 'down' : t.errorRate > 0 ? 'warn' : 'up'}`) : null;
+        const concurrency = p.concurrency
+            ? `${p.concurrency.active}/${p.concurrency.max}${p.concurrency.queued ? ` (+${p.concurrency.queued} queued)` : ''}`
+            : 'unlimited';
+        return row([
+            `${p.name} (${key})`,
+            healthPill(p),
+            t ? t.requestsPerMinute : 0,
+            errorRate,
+            t && t.latencyMs.p50 != null ? `${t.latencyMs.p50} / ${t.latencyMs.p95} ms` : null,
+            rejections || null,
+            concurrency,
+            `${p.rateLimit.max} / ${Math.round(p.rateLimit.windowMs / 1000)}s${p.rateLimit.tokensPerMinute ? `, ${p.rateLimit.tokensPerMinute} tok/min` : ''}`,
+            p.keyMode,
+            el('span', p.route, 'mono'),
+            p.fallback.length ? p.fallback.join(' → ') : null,
+        ]);
+    }));
+}
+
+function renderClients(snapshot) {
+    clientsWindowEl.textContent = `Requests (${Math.round(snapshot.traffic.windowS / 60)} min)`;
+    const entries = Object.entries(snapshot.clients)
+        .sort(([, a], [, b]) => (b.live?.requests || 0) - (a.live?.requests || 0));
+    if (entries.length === 0) {
+        const td = el('td', 'No client traffic yet', 'empty');
+        td.colSpan = 6;
+        clientsEl.replaceChildren(wrapRow(td));
+        return;
+    }
+    const limits = snapshot.quotaLimits;
+    clientsEl.replaceChildren(...entries.map(([id, c]) => row([
+        el('span', id, 'mono'),
+        c.live?.requests ?? 0,
+        c.live?.rejections ?? 0,
+        c.quota ? formatCounters(c.quota.day, limits?.day) : null,
+        c.quota ? formatCounters(c.quota.month, limits?.month) : null,
+        c.usageToday
+            ? `${c.usageToday.requests} req, ${c.usageToday.inputTokens + c.usageToday.outputTokens} tokens, $${c.usageToday.cost.toFixed(4)}`
+            : null,
+    ])));
+}
+
+function wrapRow(td) {
+    const tr = document.createElement('tr');
+    tr.append(td);
+    return tr;
+}
+
+function renderEvents() {
+    if (events.length === 0) {
+        const td = el('td', 'No errors', 'empty');
+        td.colSpan = 6;
+        eventsEl.replaceChildren(wrapRow(td));
+        return;
+    }
+    eventsEl.replaceChildren(...[...events].reverse().map((e) => row([
+        new Date(e.time).toLocaleTimeString(),
+        e.provider,
+        e.upstreamStatus && e.upstreamStatus !== e.status ? `${e.status} (upstream ${e.upstreamStatus})` : e.status,
+        e.category,
+        el('span', `${e.method} ${e.path}\n${e.requestId}`, 'mono'),
+        e.message,
+    ])));
+}
+
+function renderConfig(server) {
+    const store = server.rateLimitStore;
+    const entries = [
+        ['Version', server.version],
+        ['Memory', `${server.memoryMB} MB`],
+        ['Log level', server.logLevel],
+        ['Client authentication', server.clientAuth ? 'on' : 'off'],
+        ['Response cache', server.cache ? 'on' : 'off'],
+        ['Tracing', server.tracing ? 'on' : 'off'],
+        ['Rate limit store', `${store.backend}${store.address ? ` (${store.address}, ${store.connected ? 'connected' : 'disconnected'})` : ''}${store.lastError ? ` — ${store.lastError}` : ''}`],
+    ];
+    if (server.yandexIam) {
+        entries.push(['Yandex IAM token', server.yandexIam.expiresAt ? `expires ${server.yandexIam.expiresAt}` : server.yandexIam.lastError || 'not issued yet']);
+    }
+    configEl.replaceChildren(...entries.map(([label, value]) => row([label, value])));
+}
+
+function renderSnapshot(snapshot) {
+    serverInfoEl.textContent = `v${snapshot.server.version} · up ${formatUptime(snapshot.server.uptime)} · updated ${new Date(snapshot.time).toLocaleTimeString()}`;
+    renderCards(snapshot);
+    renderChart(snapshot.traffic);
+    renderProviders(snapshot.providers);
+    renderClients(snapshot);
+    renderConfig(snapshot.server);
+}
+
+// =====================================================================
+// Event stream
+// =====================================================================
+function handleEvent(type, data) {
+    if (type === 'snapshot') {
+        renderSnapshot(data);
+    } else if (type === 'events') {
+        events = data.slice(-MAX_EVENTS);
+        renderEvents();
+    } else if (type === 'error') {
+        events.push(data);
+        if (events.length > MAX_EVENTS) events.shift();
+        renderEvents();
+    }
+}
+
+async function connect(token) {
+    clearTimeout(reconnectTimer);
+    controller?.abort();
+    controller = new AbortController();
+    setStatus('Connecting…', 'loading');
+
+    let response;
+    try {
+        response = await fetch('/api/admin/events', {
+            headers: { 'Authorization': `Bearer ${token}`, 'Accept': 'text/event-stream' },
+            signal: controller.signal,
+        });
+    } catch (error) {
+        if (error.name === 'AbortError') return;
+        return scheduleReconnect(token, 'Server unreachable');
+    }
+
+    if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        setStatus(response.status === 401 ? 'Wrong token' : `Error ${response.status}`, 'error');
+        serverInfoEl.textContent = data.hint || data.error || 'Cannot open the admin stream';
+        if (response.status === 401) sessionStorage.removeItem(TOKEN_KEY);
+        if (response.status === 503) scheduleReconnect(token, data.error);
+        return;
+    }
+
+    sessionStorage.setItem(TOKEN_KEY, token);
+    setStatus('Live', 'success');
+    dashboardEl.classList.remove('hidden');
+    loginForm.classList.add('hidden');
+    loginHint.classList.add('hidden');
+    disconnectBtn.classList.remove('hidden');
+
+    const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+    let buffer = '';
+    try {
+        for (;;) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            buffer += value;
+            let boundary;
+            while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+                const block = buffer.slice(0, boundary);
+                buffer = buffer.slice(boundary + 2);
+                let type = 'message';
+                const data = [];
+                for (const line of block.split('\n')) {
+                    if (line.startsWith('event: ')) type = line.slice(7);
+                    else if (line.startsWith('data: ')) data.push(line.slice(6));
+                }
+                if (data.length) handleEvent(type, JSON.parse(data.join('\n')));
+            }
+        }
+    } catch (error) {
+        if (error.name === 'AbortError') return;
+    }
+    scheduleReconnect(token, 'Connection lost');
+}
+
+function scheduleReconnect(token, reason) {
+    setStatus(`${reason} — retrying…`, 'error');
+    reconnectTimer = setTimeout(() => connect(token), RECONNECT_DELAY_MS);
+}
+
+function disconnect() {
+    clearTimeout(reconnectTimer);
+    controller?.abort();
+    sessionStorage.removeItem(TOKEN_KEY);
+    setStatus('Not connected', 'loading');
+    dashboardEl.classList.add('hidden');
+    loginForm.classList.remove('hidden');
+    loginHint.classList.remove('hidden');
+    disconnectBtn.classList.add('hidden');
+    tokenInput.value = '';
+}
+
+loginForm.addEventListener('submit', (e) => {
+    e.preventDefault();
+    const token = tokenInput.value.trim();
+    if (token) connect(token);
+});
+
+disconnectBtn.addEventListener('click', disconnect);
+
+const savedToken = sessionStorage.getItem(TOKEN_KEY);
+if (savedToken) connect(savedToken);
@@ -0,0 +1,740 @@
+// =====================================================================
+// API tester — builds a native request for each provider's dialect
+// (the request format listed in /api/info), sends it through
+// /api/{provider}/..., and shows the reply as it streams in together
+// with the raw request, response headers and timing. Several providers
+// can be sent the same prompt side by side.
+// =====================================================================
+
+const SETTINGS_KEY = 'figma-ai-proxy-tester';
+const MAX_IMAGE_MB = 7; // base64 must fit the proxy's 10 MB JSON limit
+const MAX_RAW_CHARS = 200000;
+const MAX_TOKENS = 500;
+
+// =====================================================================
+// Request formats by dialect
+// =====================================================================
+function bearer(apiKey) {
+    return apiKey.startsWith('Bearer ') ? apiKey : `Bearer ${apiKey}`;
+}
+
+function openaiContent(prompt, image) {
+    if (!image) return prompt;
+    return [
+        { type: 'text', text: prompt },
+        { type: 'image_url', image_url: { url: image.dataUrl } },
+    ];
+}
+
+const DIALECTS = {
+    openai: {
+        images: true,
+        authHeaders: (apiKey) => ({ 'Authorization': bearer(apiKey) }),
+        buildRequest: ({ model, prompt, system, image, stream }) => ({
+            path: '/chat/completions',
+            body: {
+                model,
+                messages: [
+                    ...(system ? [{ role: 'system', content: system }] : []),
+                    { role: 'user', content: openaiContent(prompt, image) },
+                ],
+                temperature: 0.7,
+                max_tokens: MAX_TOKENS,
+                ...(stream && { stream: true }),
+            },
+        }),
+        modelsPath: () => '/models',
+        parseModels: (data) => data?.data?.map((m) => m.id),
+        extractText: (data) => data?.choices?.[0]?.message?.content,
+        streamText: (event, text) => text + (event.choices?.[0]?.delta?.content || ''),
+    },
+
+    anthropic: {
+        images: true,
+        authHeaders: (apiKey) => ({ 'Authorization': bearer(apiKey), 'anthropic-version': '2023-06-01' }),
+        buildRequest: ({ model, prompt, system, image, stream }) => ({
+            path: '/messages',
+            body: {
+                model,
+                max_tokens: MAX_TOKENS,
+                ...(system && { system }),
+                messages: [{
+                    role: 'user',
+                    content: image
+                        ? [
+                            { type: 'image', source: { type: 'base64', media_type: image.mediaType, data: image.data } },
+                            { type: 'text', text: prompt },
+                        ]
+                        : prompt,
+                }],
+                ...(stream && { stream: true }),
+            },
+        }),
+        modelsPath: () => '/models?limit=100',
+        parseModels: (data) => data?.data?.map((m) => m.id),
+        extractText: (data) => data?.content?.filter((block) => block.type === 'text').map((block) => block.text).join(''),
+        streamText: (event, text) => text + (event.type === 'content_block_delta' ? event.delta?.text || '' : ''),
+    },
+
+    gemini: {
+        images: true,
+        // Keys travel as ?key=, issued vault tokens as a Bearer header
+        keyInQuery: true,
+        authHeaders: (apiKey) => (apiKey.startsWith('fap_') ? { 'Authorization': bearer(apiKey) } : {}),
+        buildRequest: ({ model, prompt, system, image, stream }) => ({
+            path: stream
+                ? `/models/${encodeURIComponent(model)}:streamGenerateContent?alt=sse`
+                : `/models/${encodeURIComponent(model)}:generateContent`,
+            body: {
+                ...(system && { systemInstruction: { parts: [{ text: system }] } }),
+                contents: [{
+                    role: 'user',
+                    parts: [
+                        ...(image ? [{ inline_data: { mime_type: image.mediaType, data: image.data } }] : []),
+                        { text: prompt },
+                    ],
+                }],
+                generationConfig: { temperature: 0.7, maxOutputTokens: MAX_TOKENS },
+            },
+        }),
+        modelsPath: () => '/models?pageSize=100',
+        parseModels: (data) => data?.models
+            ?.filter((m) => !m.supportedGenerationMethods || m.supportedGenerationMethods.includes('generateContent'))
+            .map((m) => m.name.replace(/^models\//, '')),
+        extractText: (data) => data?.candidates?.[0]?.content?.parts?.map((part) => part.text || '').join(''),
+        streamText: (event, text) => text + (event.candidates?.[0]?.content?.parts?.map((part) => part.text || '').join('') || ''),
+    },
+
+    yandex: {
+        images: false,
+        needsFolderId: true,
+        authHeaders: (apiKey) => ({
+            'Authorization': apiKey.startsWith('Api-Key ') || apiKey.startsWith('Bearer ')
+                ? apiKey : apiKey.startsWith('fap_') ? `Bearer ${apiKey}` : `Api-Key ${apiKey}`,
+        }),
+        buildRequest: ({ model, prompt, system, stream, folderId }) => ({
+            path: '',
+            body: {
+                modelUri: `gpt://${folderId}/${model}`,
+                completionOptions: { stream, temperature: 0.7, maxTokens: String(MAX_TOKENS) },
+                messages: [
+                    ...(system ? [{ role: 'system', text: system }] : []),
+                    { role: 'user', text: prompt },
+                ],
+            },
+        }),
+        // Foundation Models has no model list API
+        models: ['yandexgpt-lite/latest', 'yandexgpt/latest', 'yandexgpt-32k/latest', 'llama-lite/latest', 'llama/latest'],
+        extractText: (data) => data?.result?.alternatives?.[0]?.message?.text,
+        // Every NDJSON line carries the whole text so far
+        streamText: (event, text) => event.result?.alternatives?.[0]?.message?.text ?? text,
+    },
+
+    cohere: {
+        images: false,
+        authHeaders: (apiKey) => ({ 'Authorization': bearer(apiKey) }),
+        buildRequest: ({ model, prompt, system, stream }) => ({
+            path: '/chat',
+            body: {
+                model,
+                message: prompt,
+                ...(system && { preamble: system }),
+                temperature: 0.7,
+                max_tokens: MAX_TOKENS,
+                ...(stream && { stream: true }),
+            },
+        }),
+        modelsPath: () => '/models?endpoint=chat&page_size=100',
+        parseModels: (data) => data?.models?.map((m) => m.name),
+        extractText: (data) => data?.text,
+        streamText: (event, text) => text + (event.event_type === 'text-generation' ? event.text || '' : ''),
+    },
+};
+
+// Key hints and default models of the built-in providers; providers added
+// with PROVIDERS_FILE fall back to their dialect's defaults
+const PROVIDER_HINTS = {
+    yandex: { apiKeyHint: '(Api-Key or Bearer IAM token)', apiKeyPlaceholder: 'Api-Key AQVN... or Bearer t1.9e...', model: 'yandexgpt-lite/latest' },
+    claude: { apiKeyHint: '(starts with sk-ant-...)', apiKeyPlaceholder: 'sk-ant-api03-...', model: 'claude-3-5-haiku-20241022' },
+    gemini: { apiKeyHint: '(starts with AIza...)', apiKeyPlaceholder: 'AIzaSy...', model: 'gemini-2.0-flash' },
+    groq: { apiKeyHint: '(starts with gsk_...)', apiKeyPlaceholder: 'gsk_...', model: 'llama-3.3-70b-versatile' },
+    mistral: { apiKeyHint: '(Mistral API key)', apiKeyPlaceholder: 'Your Mistral API key...', model: 'mistral-small-latest' },
+    cohere: { apiKeyHint: '(Cohere API key)', apiKeyPlaceholder: 'Your Cohere API key...', model: 'command-r' },
+    openai: { apiKeyHint: '(starts with sk-...)', apiKeyPlaceholder: 'sk-proj-...', model: 'gpt-4o-mini' },
+    openrouter: { apiKeyHint: '(starts with sk-or-...)', apiKeyPlaceholder: 'sk-or-v1-...', model: 'openai/gpt-4o-mini' },
+    deepseek: { apiKeyHint: '(starts with sk-...)', apiKeyPlaceholder: 'sk-...', model: 'deepseek-chat' },
+    ollama: { model: 'llama3.2' },
+    lmstudio: { model: 'qwen2.5-7b-instruct' },
+};
+
+const KEY_MODE_HINTS = {
+    vault: { apiKeyHint: '(proxy token issued to you)', apiKeyPlaceholder: 'fap_...' },
+    mixed: { apiKeyHint: '(your API key or an issued fap_ token)' },
+    none: { apiKeyHint: '(not needed for a local server)', apiKeyPlaceholder: 'No key required' },
+};
+
+// =====================================================================
+// DOM elements
+// =====================================================================
+const form = document.getElementById('testForm');
+const statusEl = document.getElementById('status');
+const providerInfoEl = document.getElementById('providerInfo');
+const providerSelect = document.getElementById('provider');
+const apiKeyInput = document.getElementById('apiKey');
+const apiKeyHint = document.getElementById('apiKeyHint');
+const proxyTokenGroup = document.getElementById('proxyTokenGroup');
+const proxyTokenInput = document.getElementById('proxyToken');
+const folderIdGroup = document.getElementById('folderIdGroup');
+const folderIdInput = document.getElementById('folderId');
+const modelInput = document.getElementById('model');
+const modelHint = document.getElementById('modelHint');
+const modelList = document.getElementById('modelList');
+const systemPromptInput = document.getElementById('systemPrompt');
+const promptInput = document.getElementById('prompt');
+const imageInput = document.getElementById('image');
+const imageHint = document.getElementById('imageHint');
+const imagePreview = document.getElementById('imagePreview');
+const streamInput = document.getElementById('stream');
+const compareCountEl = document.getElementById('compareCount');
+const compareList = document.getElementById('compareList');
+const targetUrlEl = document.getElementById('targetUrl');
+const resultsEl = document.getElementById('results');
+const submitBtn = document.getElementById('submitBtn');
+
+// Providers from /api/info: { key: { name, dialect, keyMode } }
+let providers = {};
+// { provider, compare, proxyToken, providers: { key: { apiKey, model, folderId } } },
+// kept for this tab only
+const settings = loadSettings();
+let image = null;
+const modelCache = {};
+let running = null;
+
+// =====================================================================
+// Helpers
+// =====================================================================
+function el(tag, text, className) {
+    const node = document.createElement(tag);
+    if (text != null) node.textContent = text;
+    if (className) node.className = className;
+    return node;
+}
+
+function setStatus(text, kind) {
+    statusEl.textContent = text;
+    statusEl.className = `status ${kind}`;
+}
+
+function loadSettings() {
+    try {
+        return JSON.parse(sessionStorage.getItem(SETTINGS_KEY)) || { providers: {} };
+    } catch {
+        return { providers: {} };
+    }
+}
+
+function saveSettings() {
+    sessionStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+}
+
+function providerSettings(key) {
+    return settings.providers[key] || (settings.providers[key] = {});
+}
+
+function dialectOf(key) {
+    return DIALECTS[providers[key]?.dialect] || DIALECTS.openai;
+}
+
+function hintsFor(key) {
+    return { ...PROVIDER_HINTS[key], ...KEY_MODE_HINTS[providers[key]?.keyMode] };
+}
+
+function needsApiKey(key) {
+    return providers[key]?.keyMode !== 'none';
+}
+
+// Show enough of a credential to tell keys apart, never the whole of it
+function maskSecret(value) {
+    return value.replace(/((?:Bearer|Api-Key) )?(\S+)/, (match, prefix = '', secret) =>
+        prefix + (secret.length > 12 ? `${secret.slice(0, 4)}…${secret.slice(-4)}` : '…'));
+}
+
+function maskUrl(url) {
+    return url.replace(/([?&]key=)([^&]+)/, (match, param, key) => param + maskSecret(decodeURIComponent(key)));
+}
+
+// Request body for display: base64 images shortened
+function displayBody(body) {
+    return JSON.stringify(body, (key, value) => {
+        if (typeof value !== 'string' || value.length < 200) return value;
+        if (value.startsWith('data:')) return `${value.slice(0, value.indexOf(',') + 1)}<${Math.ceil(value.length / 1024)} KB>`;
+        if (key === 'data') return `<base64, ${Math.ceil(value.length / 1024)} KB>`;
+        return value;
+    }, 2);
+}
+
+function formatHeaders(entries) {
+    return entries.map(([name, value]) => `${name}: ${value}`).join('\n');
+}
+
+// Error message of a failed reply: upstream { error: { message } } or the proxy's { error, hint }
+function errorText(data, raw) {
+    const error = typeof data?.error === 'string' ? data.error : data?.error?.message || data?.message;
+    return error ? [error, data.hint].filter(Boolean).join(' — ') : raw.slice(0, 300);
+}
+
+function truncate(text) {
+    return text.length > MAX_RAW_CHARS ? `${text.slice(0, MAX_RAW_CHARS)}\n… (${text.length - MAX_RAW_CHARS} more characters)` : text;
+}
+
+// =====================================================================
+// Building requests
+// =====================================================================
+function withKeyParam(url, dialect, apiKey) {
+    if (!dialect.keyInQuery || !apiKey || apiKey.startsWith('fap_')) return url;
+    return `${url}${url.includes('?') ? '&' : '?'}key=${encodeURIComponent(apiKey)}`;
+}
+
+function buildRequest(key, options) {
+    const dialect = dialectOf(key);
+    const { apiKey } = options;
+    const { path, body } = dialect.buildRequest(options);
+
+    const url = withKeyParam(`/api/${key}${path}`, dialect, apiKey);
+    const headers = {
+        'Content-Type': 'application/json',
+        ...(apiKey && dialect.authHeaders(apiKey)),
+        ...(settings.proxyToken && { 'X-Proxy-Token': settings.proxyToken }),
+    };
+    return { url, headers, body };
+}
+
+function displayRequest({ url, headers, body }) {
+    const shown = Object.entries(headers).map(([name, value]) =>
+        [name, /^(authorization|x-proxy-token)$/i.test(name) ? maskSecret(value) : value]);
+    return `POST ${maskUrl(url)}\n${formatHeaders(shown)}\n\n${displayBody(body)}`;
+}
+
+// =====================================================================
+// Model lists
+// =====================================================================
+async function loadModels(key) {
+    const dialect = dialectOf(key);
+    const { apiKey = '' } = providerSettings(key);
+
+    if (dialect.models) return { models: dialect.models };
+    if (needsApiKey(key) && !apiKey) return { error: 'enter a key to load the model list' };
+
+    const cacheKey = `${key}:${apiKey}`;
+    if (!modelCache[cacheKey]) {
+        modelCache[cacheKey] = (async () => {
+            const url = withKeyParam(`/api/${key}${dialect.modelsPath()}`, dialect, apiKey);
+            const headers = {
+                ...(apiKey && dialect.authHeaders(apiKey)),
+                ...(settings.proxyToken && { 'X-Proxy-Token': settings.proxyToken }),
+            };
+            try {
+                const response = await fetch(url, { headers });
+                if (!response.ok) return { error: `model list unavailable: HTTP ${response.status}` };
+                const models = dialect.parseModels(await response.json());
+                return models?.length ? { models: models.sort() } : { error: 'model list is empty' };
+            } catch (error) {
+                return { error: `model list unavailable: ${error.message}` };
+            }
+        })();
+        // Failures are retried the next time the provider is selected
+        modelCache[cacheKey].then((result) => {
+            if (result.error) delete modelCache[cacheKey];
+        });
+    }
+    return modelCache[cacheKey];
+}
+
+async function updateModelList() {
+    const key = providerSelect.value;
+    modelList.replaceChildren();
+    modelHint.textContent = '(loading list...)';
+
+    const { models, error } = await loadModels(key);
+    if (providerSelect.value !== key) return;
+
+    modelHint.textContent = error ? `(${error})` : `(${models.length} available)`;
+    for (const model of models || []) {
+        const option = document.createElement('option');
+        option.value = model;
+        modelList.append(option);
+    }
+}
+
+// =====================================================================
+// Provider UI updates
+// =====================================================================
+function updateProviderUI() {
+    const key = providerSelect.value;
+    if (!providers[key]) return;
+    const dialect = dialectOf(key);
+    const hints = hintsFor(key);
+    const saved = providerSettings(key);
+
+    // Show/hide Folder ID field
+    folderIdGroup.classList.toggle('hidden', !dialect.needsFolderId);
+    folderIdInput.required = Boolean(dialect.needsFolderId);
+    folderIdInput.value = saved.folderId || '';
+
+    // Local servers take no API key
+    apiKeyInput.disabled = !needsApiKey(key);
+    apiKeyInput.required = needsApiKey(key);
+    apiKeyInput.value = saved.apiKey || '';
+    apiKeyHint.textContent = hints.apiKeyHint || '(API key)';
+    apiKeyInput.placeholder = hints.apiKeyPlaceholder || 'Your API key...';
+
+    modelInput.value = saved.model || hints.model || '';
+
+    // Image attachments need a vision-capable request format
+    imageInput.disabled = !dialect.images;
+    updateImageHint();
+
+    // Update provider info
+    providerInfoEl.textContent = `${providers[key].name} · ${providers[key].dialect} format · key mode ${providers[key].keyMode}`;
+
+    renderCompareList();
+    updateTarget();
+    updateModelList();
+}
+
+function updateTarget() {
+    const key = providerSelect.value;
+    if (!providers[key]) return;
+    const { url } = buildRequest(key, requestOptions(key));
+    const others = comparedProviders().length;
+    targetUrlEl.textContent = `Target: ${url.split('?')[0]}${others ? ` + ${others} more` : ''}`;
+}
+
+function renderCompareList() {
+    const checked = new Set(settings.compare || []);
+    compareList.replaceChildren();
+    for (const [key, provider] of Object.entries(providers)) {
+        if (key === providerSelect.value) continue;
+        const label = el('label', null, 'checkbox');
+        const box = document.createElement('input');
+        box.type = 'checkbox';
+        box.value = key;
+        box.checked = checked.has(key);
+        box.addEventListener('change', () => {
+            const others = (settings.compare || []).filter((other) => other !== key);
+            settings.compare = box.checked ? [...others, key] : others;
+            saveSettings();
+            updateTarget();
+            updateCompareCount();
+        });
+        label.append(box, provider.name);
+        compareList.append(label);
+    }
+    updateCompareCount();
+}
+
+// Providers sent the same request besides the selected one
+function comparedProviders() {
+    return (settings.compare || []).filter((key) => providers[key] && key !== providerSelect.value);
+}
+
+function updateCompareCount() {
+    const count = comparedProviders().length;
+    compareCountEl.textContent = count ? `(${count} selected)` : '';
+}
+
+function rememberField(input, field) {
+    input.addEventListener('input', () => {
+        providerSettings(providerSelect.value)[field] = input.value.trim();
+        saveSettings();
+        updateTarget();
+    });
+}
+
+rememberField(apiKeyInput, 'apiKey');
+rememberField(folderIdInput, 'folderId');
+rememberField(modelInput, 'model');
+apiKeyInput.addEventListener('change', updateModelList);
+proxyTokenInput.addEventListener('input', () => {
+    settings.proxyToken = proxyTokenInput.value.trim();
+    saveSettings();
+});
+proxyTokenInput.addEventListener('change', updateModelList);
+streamInput.addEventListener('change', updateTarget);
+providerSelect.addEventListener('change', () => {
+    settings.provider = providerSelect.value;
+    saveSettings();
+    updateProviderUI();
+});
+
+// =====================================================================
+// Image attachment
+// =====================================================================
+function updateImageHint() {
+    const key = providerSelect.value;
+    if (!dialectOf(key).images) {
+        imageHint.textContent = `(not supported by the ${providers[key].name} API)`;
+    } else if (image) {
+        imageHint.textContent = `(${image.name}, ${Math.ceil(image.size / 1024)} KB)`;
+    } else {
+        imageHint.textContent = `(optional, up to ${MAX_IMAGE_MB} MB)`;
+    }
+}
+
+imageInput.addEventListener('change', () => {
+    const file = imageInput.files[0];
+    image = null;
+    imagePreview.classList.add('hidden');
+    updateImageHint();
+    if (!file) return;
+
+    if (file.size > MAX_IMAGE_MB * 1024 * 1024) {
+        imageInput.value = '';
+        imageHint.textContent = `(${file.name} is larger than ${MAX_IMAGE_MB} MB)`;
+        return;
+    }
+
+    const reader = new FileReader();
+    reader.onload = () => {
+        const dataUrl = reader.result;
+        image = { name: file.name, size: file.size, dataUrl, mediaType: file.type, data: dataUrl.slice(dataUrl.indexOf(',') + 1) };
+        imagePreview.src = dataUrl;
+        imagePreview.classList.remove('hidden');
+        updateImageHint();
+    };
+    reader.readAsDataURL(file);
+});
+
+// =====================================================================
+// Server info and health check
+// =====================================================================
+async function loadServer() {
+    try {
+        const [info, health] = await Promise.all([
+            fetch('/api/info').then((response) => response.json()),
+            fetch('/health').then((response) => response.json()),
+        ]);
+
+        providers = {};
+        for (const [key, provider] of Object.entries(info.endpoints.providers)) {
+            providers[key] = { name: provider.name, dialect: provider.dialect, keyMode: provider.keyMode };
+        }
+
+        providerSelect.replaceChildren();
+        for (const [key, provider] of Object.entries(providers)) {
+            const option = document.createElement('option');
+            option.value = key;
+            option.textContent = provider.keyMode === 'none' ? `${provider.name} (local)` : provider.name;
+            providerSelect.append(option);
+        }
+        if (providers[settings.provider]) providerSelect.value = settings.provider;
+
+        proxyTokenGroup.classList.toggle('hidden', !info.features?.clientAuth);
+        proxyTokenInput.value = settings.proxyToken || '';
+        updateProviderUI();
+
+        // "degraded" means a health probe failed, the server itself is up
+        const down = Object.entries(health.upstream || {}).filter(([, entry]) => entry.status === 'down').map(([key]) => key);
+        if (health.status === 'ok') {
+            setStatus(`Server Online (v${health.version})`, 'success');
+        } else {
+            setStatus(`Server Degraded: ${down.join(', ') || health.status}`, 'loading');
+        }
+    } catch (error) {
+        setStatus('Server Offline', 'error');
+        submitBtn.disabled = true;
+    }
+}
+
+loadServer();
+
+// =====================================================================
+// Sending requests
+// =====================================================================
+function requestOptions(key) {
+    const saved = providerSettings(key);
+    return {
+        apiKey: saved.apiKey || '',
+        folderId: saved.folderId || '',
+        model: saved.model || hintsFor(key).model || '',
+        prompt: promptInput.value.trim(),
+        system: systemPromptInput.value.trim(),
+        image: dialectOf(key).images ? image : null,
+        stream: streamInput.checked,
+    };
+}
+
+// Why a provider cannot be sent this request, or null
+function missingSetting(key, options) {
+    const name = providers[key].name;
+    if (needsApiKey(key) && !options.apiKey) return `No API key entered for ${name} — select it above and enter one.`;
+    if (dialectOf(key).needsFolderId && !options.folderId) return `No folder ID entered for ${name}.`;
+    if (!options.model) return `No model selected for ${name}.`;
+    if (image && !dialectOf(key).images) return `Images are not supported by the ${name} API.`;
+    return null;
+}
+
+function createResultCard(key, model) {
+    const card = el('div', null, 'response');
+    const title = el('h3', `${providers[key].name} `);
+    title.append(el('span', model, 'model'));
+    const statusLine = el('div', 'Sending...', 'timing');
+    const text = el('div', null, 'text');
+
+    const requestDetails = el('details');
+    requestDetails.append(el('summary', 'Raw request'));
+    const requestPre = el('pre');
+    requestDetails.append(requestPre);
+
+    const responseDetails = el('details');
+    responseDetails.append(el('summary', 'Raw response'));
+    const responsePre = el('pre');
+    responseDetails.append(responsePre);
+
+    card.append(title, statusLine, text, requestDetails, responseDetails);
+    resultsEl.append(card);
+    return { card, statusLine, text, requestPre, responsePre };
+}
+
+// Split a streamed body into JSON events: SSE "data:" lines or NDJSON lines
+function parseStreamLines(buffer, onEvent) {
+    const lines = buffer.split('\n');
+    const rest = lines.pop();
+    for (const raw of lines) {
+        const line = raw.trim();
+        if (!line || line.startsWith('event:') || line.startsWith(':')) continue;
+        const payload = line.startsWith('data:') ? line.slice(5).trim() : line;
+        if (payload === '[DONE]') continue;
+        try {
+            onEvent(JSON.parse(payload));
+        } catch {
+            // Ignore keep-alives and partial lines
+        }
+    }
+    return rest;
+}
+
+async function runRequest(key, signal) {
+    const options = requestOptions(key);
+    const view = createResultCard(key, options.model);
+    const problem = missingSetting(key, options);
+    if (problem) {
+        view.card.classList.add('failed');
+        view.statusLine.textContent = problem;
+        return false;
+    }
+
+    const dialect = dialectOf(key);
+    const request = buildRequest(key, options);
+    view.requestPre.textContent = displayRequest(request);
+
+    const started = performance.now();
+    const elapsed = () => Math.round(performance.now() - started);
+    let headersMs = null;
+    let firstTokenMs = null;
+    let raw = '';
+
+    const showTiming = (prefix) => {
+        view.statusLine.textContent = [
+            prefix,
+            headersMs != null && `headers ${headersMs} ms`,
+            firstTokenMs != null && `first token ${firstTokenMs} ms`,
+            `total ${elapsed()} ms`,
+        ].filter(Boolean).join(' · ');
+    };
+
+    try {
+        const response = await fetch(request.url, {
+            method: 'POST',
+            headers: request.headers,
+            body: JSON.stringify(request.body),
+            signal,
+        });
+        headersMs = elapsed();
+        const statusText = `HTTP ${response.status} ${response.statusText}`;
+        const responseHead = `${statusText}\n${formatHeaders([...response.headers])}\n\n`;
+        // Stream formats differ (SSE, NDJSON served as application/json by
+        // Yandex), so the reply is read as a stream whenever one was asked for
+        if (response.ok && options.stream) {
+            const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+            let buffer = '';
+            let text = '';
+            for (;;) {
+                const { value, done } = await reader.read();
+                if (done) break;
+                raw += value;
+                buffer = parseStreamLines(buffer + value, (event) => {
+                    text = dialect.streamText(event, text);
+                });
+                if (text && firstTokenMs == null) firstTokenMs = elapsed();
+                view.text.textContent = text;
+                showTiming(statusText);
+            }
+            parseStreamLines(`${buffer}\n`, (event) => {
+                text = dialect.streamText(event, text);
+            });
+            // A provider that ignored "stream" sent one JSON reply
+            if (!text) {
+                try {
+                    text = dialect.extractText(JSON.parse(raw));
+                } catch {
+                    // Not JSON either
+                }
+            }
+            view.text.textContent = text || '(no text in reply — see raw response)';
+        } else {
+            raw = await response.text();
+            let data = null;
+            try {
+                data = JSON.parse(raw);
+                raw = JSON.stringify(data, null, 2);
+            } catch {
+                // Not JSON — shown as-is
+            }
+            const text = response.ok ? dialect.extractText(data) : null;
+            view.text.textContent = text || (response.ok ? '(no text in reply — see raw response)' : errorText(data, raw));
+        }
+
+        view.responsePre.textContent = responseHead + truncate(raw);
+        showTiming(statusText);
+        if (!response.ok) {
+            view.card.classList.add('failed');
+            view.responsePre.parentElement.open = true;
+        }
+        return response.ok;
+    } catch (error) {
+        view.card.classList.add('failed');
+        view.statusLine.textContent = error.name === 'AbortError' ? `Stopped after ${elapsed()} ms` : `Network error: ${error.message}`;
+        if (raw) view.responsePre.textContent = truncate(raw);
+        return false;
+    }
+}
+
+form.addEventListener('submit', async (e) => {
+    e.preventDefault();
+
+    // A second click while requests are in flight stops them
+    if (running) {
+        running.abort();
+        return;
+    }
+
+    const keys = [providerSelect.value, ...comparedProviders()];
+    if (!promptInput.value.trim()) return;
+
+    running = new AbortController();
+    submitBtn.textContent = 'Stop';
+    resultsEl.replaceChildren();
+
+    const outcomes = await Promise.all(keys.map((key) => runRequest(key, running.signal)));
+    const failed = outcomes.filter((ok) => !ok).length;
+
+    if (failed === 0) {
+        setStatus(keys.length > 1 ? `${keys.length} Requests Successful` : 'Request Successful', 'success');
+    } else {
+        setStatus(keys.length > 1 ? `${failed} of ${keys.length} Requests Failed` : 'Request Failed', 'error');
+    }
+
+    running = null;
+    submitBtn.textContent = 'Send Request';
+});
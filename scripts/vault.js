@@ -0,0 +1,100 @@
+/**
+ * Vault admin CLI — manage provider keys and client tokens.
+ *
+ * Usage:
+ *   node scripts/vault.js list
+ *   node scripts/vault.js set-key <provider> [key]     — key is read from stdin if omitted
+ *   node scripts/vault.js remove-key <provider>
+ *   node scripts/vault.js add-client <name> [provider,provider]  — prints the token once
+ *   node scripts/vault.js revoke-client <name>
+ *
+ * Reads VAULT_KEY and VAULT_FILE from the environment / .env, like the server.
+ */
+
+require('dotenv').config();
+const path = require('path');
+const { createVault } = require('../lib/vault');
+
+const VAULT_FILE = process.env.VAULT_FILE || path.join(__dirname, '..', 'data', 'vault.json');
+
+function readStdin() {
+  return new Promise((resolve) => {
+    let data = '';
+    process.stdin.setEncoding('utf8');
+    process.stdin.on('data', (chunk) => (data += chunk));
+    process.stdin.on('end', () => resolve(data.trim()));
+  });
+}
+
+function usage() {
+  console.log('Usage:');
+  console.log('  node scripts/vault.js list');
+  console.log('  node scripts/vault.js set-key <provider> [key]');
+  console.log('  node scripts/vault.js remove-key <provider>');
+  console.log('  node scripts/vault.js add-client <name> [provider,provider]');
+  console.log('  node scripts/vault.js revoke-client <name>');
+  process.exit(1);
+}
+
+async function main() {
+  const [command, ...args] = process.argv.slice(2);
+  if (!command) usage();
+
+  const vault = createVault({ file: VAULT_FILE, passphrase: process.env.VAULT_KEY });
+
+  switch (command) {
+    case 'list': {
+      const { clients, credentials } = vault.list();
+      console.log(`Vault: ${VAULT_FILE}`);
+      console.log(`\nProvider keys (${credentials.length}):`);
+      for (const key of credentials) console.log(`  ${key}`);
+      console.log(`\nClients (${clients.length}):`);
+      for (const c of clients) console.log(`  ${c.name.padEnd(20)} ${c.providers.join(',').padEnd(30)} ${c.createdAt}`);
+      break;
+    }
+
+    case 'set-key': {
+      const [provider, key] = args;
+      if (!provider) usage();
+      const secret = key || (await readStdin());
+      if (!secret) {
+        console.error('No key given (pass it as an argument or on stdin)');
+        process.exit(1);
+      }
+      vault.setCredential(provider, secret);
+      console.log(`Stored key for ${provider}`);
+      break;
+    }
+
+    case 'remove-key': {
+      const [provider] = args;
+      if (!provider) usage();
+      console.log(vault.removeCredential(provider) ? `Removed key for ${provider}` : `No key stored for ${provider}`);
+      break;
+    }
+
+    case 'add-client': {
+      const [name, providers] = args;
+      if (!name) usage();
+      const token = vault.addClient(name, providers ? providers.split(',').map((p) => p.trim()) : ['*']);
+      console.log(`Client "${name}" created. Token (shown once, give it to the user):\n`);
+      console.log(`  ${token}\n`);
+      break;
+    }
+
+    case 'revoke-client': {
+      const [name] = args;
+      if (!name) usage();
+      console.log(vault.revokeClient(name) ? `Revoked client "${name}"` : `No client named "${name}"`);
+      break;
+    }
+
+    default:
+      usage();
+  }
+}
+
+main().catch((err) => {
+  console.error('Error:', err.message);
+  process.exit(1);
+});